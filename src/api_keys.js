@@ -0,0 +1,156 @@
+import crypto from 'crypto'
+import { redisClient } from './use_redis_auth_state.js'
+import logger from './logger.js'
+import { redisKey } from './redis_keys.js'
+
+// read: list sessions, chats, messages. send: send messages and act on chats/groups. manage: start, log out and configure sessions
+const PERMISSIONS = ['read', 'send', 'manage'];
+
+// Redis keys
+const API_KEYS_KEY = redisKey('api-keys'); // hash keyId -> key record JSON
+const API_KEY_HASHES_KEY = redisKey('api-keys', 'hashes'); // hash sha256(key) -> keyId
+const API_KEYS_LAST_USED_KEY = redisKey('api-keys', 'last-used'); // hash keyId -> ISO date
+
+const hashKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+/**
+ * Compares two secrets in constant time
+ */
+function safeEqual(a, b) {
+  return crypto.timingSafeEqual(Buffer.from(hashKey(a), 'hex'), Buffer.from(hashKey(b), 'hex'));
+}
+
+/**
+ * Hides the hash of a key record before returning it to API clients
+ * @param {object} record - Stored key record
+ * @returns {object}
+ */
+function publicApiKey({ hash, ...record }) {
+  return record;
+}
+
+/**
+ * Validates the input of a new API key
+ * @param {object} body - Request body
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateApiKey({ name, sessions, sessionPrefix, permissions }) {
+  if (!name || typeof name !== 'string') return "Api key name is required";
+  if (sessions !== undefined && (!Array.isArray(sessions) || sessions.some((s) => typeof s !== 'string'))) {
+    return "sessions must be an array of session ids";
+  }
+  if (sessionPrefix !== undefined && (typeof sessionPrefix !== 'string' || !sessionPrefix)) {
+    return "sessionPrefix must be a non empty string";
+  }
+  if (!sessions?.length && !sessionPrefix) return "Either sessions or sessionPrefix is required";
+  if (!Array.isArray(permissions) || !permissions.length) return "permissions must be a non empty array";
+  const unknown = permissions.filter((p) => !PERMISSIONS.includes(p));
+  if (unknown.length) return `Unknown permissions: ${unknown.join(', ')}`;
+  return null;
+}
+
+/**
+ * Creates a tenant API key. The key itself is only returned here, Redis stores its hash.
+ * @param {object} options
+ * @param {string} options.name - Description of the key owner
+ * @param {string[]} [options.sessions] - Session ids the key can access
+ * @param {string} [options.sessionPrefix] - Or any session whose id starts with this prefix
+ * @param {string[]} options.permissions - Subset of PERMISSIONS
+ * @returns {Promise<object>} Key record including `key`
+ */
+async function createApiKey({ name, sessions, sessionPrefix, permissions }) {
+  const key = `pwk_${crypto.randomBytes(32).toString('base64url')}`;
+  const record = {
+    id: crypto.randomUUID(),
+    name,
+    hash: hashKey(key),
+    sessions: sessions || [],
+    sessionPrefix: sessionPrefix || null,
+    permissions,
+    createdAt: new Date().toISOString()
+  };
+  await redisClient.multi()
+    .hSet(API_KEYS_KEY, record.id, JSON.stringify(record))
+    .hSet(API_KEY_HASHES_KEY, record.hash, record.id)
+    .exec();
+  return { ...publicApiKey(record), key };
+}
+
+/**
+ * Lists tenant API keys with their last use
+ * @returns {Promise<Array>}
+ */
+async function listApiKeys() {
+  const [records, lastUsed] = await Promise.all([
+    redisClient.hGetAll(API_KEYS_KEY),
+    redisClient.hGetAll(API_KEYS_LAST_USED_KEY)
+  ]);
+  return Object.values(records)
+    .map((value) => JSON.parse(value))
+    .map((record) => ({ ...publicApiKey(record), lastUsedAt: lastUsed[record.id] || null }));
+}
+
+/**
+ * Revokes a tenant API key
+ * @param {string} keyId - Key identifier
+ * @returns {Promise<boolean>} Whether the key existed
+ */
+async function revokeApiKey(keyId) {
+  const stored = await redisClient.hGet(API_KEYS_KEY, keyId);
+  if (!stored) return false;
+  const { hash } = JSON.parse(stored);
+  await redisClient.multi()
+    .hDel(API_KEYS_KEY, keyId)
+    .hDel(API_KEY_HASHES_KEY, hash)
+    .hDel(API_KEYS_LAST_USED_KEY, keyId)
+    .exec();
+  return true;
+}
+
+/**
+ * Resolves the API key sent by a client
+ * @param {string} key - Value of the x-api-key header
+ * @param {string} adminKey - Admin key (API_KEY env var)
+ * @returns {Promise<object|null>} { id, admin, permissions, sessions, sessionPrefix }, null if the key is invalid
+ */
+async function authenticateApiKey(key, adminKey) {
+  if (!key) return null;
+  if (adminKey && safeEqual(key, adminKey)) {
+    return { id: 'admin', admin: true, permissions: PERMISSIONS, sessions: [], sessionPrefix: null };
+  }
+
+  const keyId = await redisClient.hGet(API_KEY_HASHES_KEY, hashKey(key));
+  if (!keyId) return null;
+  const stored = await redisClient.hGet(API_KEYS_KEY, keyId);
+  if (!stored) return null;
+
+  redisClient.hSet(API_KEYS_LAST_USED_KEY, keyId, new Date().toISOString()).catch((err) => {
+    logger.warn({ keyId, error: err }, "Failed to update api key last use");
+  });
+
+  const { id, permissions, sessions, sessionPrefix } = JSON.parse(stored);
+  return { id, admin: false, permissions, sessions, sessionPrefix };
+}
+
+/**
+ * Whether an authenticated key can access a session
+ * @param {object} apiKey - Result of authenticateApiKey
+ * @param {string} sessionId - Session identifier
+ * @returns {boolean}
+ */
+function canAccessSession(apiKey, sessionId) {
+  if (!apiKey) return false;
+  if (apiKey.admin) return true;
+  return apiKey.sessions.includes(sessionId)
+    || (!!apiKey.sessionPrefix && sessionId.startsWith(apiKey.sessionPrefix));
+}
+
+export {
+  PERMISSIONS,
+  validateApiKey,
+  createApiKey,
+  listApiKeys,
+  revokeApiKey,
+  authenticateApiKey,
+  canAccessSession
+};
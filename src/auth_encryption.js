@@ -0,0 +1,132 @@
+import fs from 'fs'
+import crypto from 'crypto'
+
+// Envelope encryption of the auth state: each value is encrypted with AES-256-GCM under its own random data key,
+// and the data key is encrypted (wrapped) with the master key. Rotating the master key only re-wraps data keys.
+// Stored as enc:v1:<master key id>:<wrap iv>:<wrapped data key>:<iv>:<ciphertext>, base64 parts with the GCM tag appended.
+
+const PREFIX = 'enc:v1:';
+const ALGORITHM = 'aes-256-gcm';
+const IV_BYTES = 12;
+const TAG_BYTES = 16;
+
+/**
+ * Parses a 32 bytes key, hex or base64 encoded
+ * @param {string} value
+ * @param {string} source - Env var it comes from, for the error message
+ * @returns {Buffer}
+ */
+function parseKey(value, source) {
+  const text = value.trim();
+  const key = /^[0-9a-f]{64}$/i.test(text) ? Buffer.from(text, 'hex') : Buffer.from(text, 'base64');
+  if (key.length !== 32) throw new Error(`${source} must be a 32 bytes key, hex or base64 encoded`);
+  return key;
+}
+
+/**
+ * Reads keys from an env var and from the file named by `<name>_FILE`, separated by commas or new lines
+ * @param {string} name - Env var name
+ * @returns {Buffer[]}
+ */
+function readKeys(name) {
+  const file = process.env[`${name}_FILE`];
+  const values = [process.env[name], file && fs.readFileSync(file, 'utf8')]
+    .flatMap((value) => (value || '').split(/[\s,]+/))
+    .filter(Boolean);
+  return values.map((value) => parseKey(value, name));
+}
+
+const keyId = (key) => crypto.createHash('sha256').update(key).digest('hex').slice(0, 16);
+
+const [currentKey] = readKeys('AUTH_ENCRYPTION_KEY');
+// key id -> key, the previous ones are only used to decrypt
+const keys = new Map([currentKey, ...readKeys('AUTH_ENCRYPTION_PREVIOUS_KEYS')]
+  .filter(Boolean)
+  .map((key) => [keyId(key), key]));
+const CURRENT_KEY_ID = currentKey ? keyId(currentKey) : null;
+
+function seal(key, plaintext, aad) {
+  const iv = crypto.randomBytes(IV_BYTES);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  if (aad) cipher.setAAD(Buffer.from(aad));
+  const data = Buffer.concat([cipher.update(plaintext), cipher.final(), cipher.getAuthTag()]);
+  return [iv.toString('base64'), data.toString('base64')];
+}
+
+function unseal(key, [iv, data], aad) {
+  const sealed = Buffer.from(data, 'base64');
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, Buffer.from(iv, 'base64'));
+  if (aad) decipher.setAAD(Buffer.from(aad));
+  decipher.setAuthTag(sealed.subarray(sealed.length - TAG_BYTES));
+  return Buffer.concat([decipher.update(sealed.subarray(0, sealed.length - TAG_BYTES)), decipher.final()]);
+}
+
+/**
+ * Splits an encrypted value and finds its master key
+ * @returns {{ keyId: string, key: Buffer, wrapped: string[], data: string[] }}
+ */
+function parseEncrypted(stored) {
+  const [id, wrapIv, wrappedKey, iv, data] = stored.slice(PREFIX.length).split(':');
+  const key = keys.get(id);
+  if (!key) throw new Error(`Auth state encrypted with unknown key ${id}, set it in AUTH_ENCRYPTION_PREVIOUS_KEYS`);
+  return { keyId: id, key, wrapped: [wrapIv, wrappedKey], data: [iv, data] };
+}
+
+const isEncrypted = (stored) => stored.startsWith(PREFIX);
+
+/**
+ * Encrypts a value, returned as is when no key is configured
+ * @param {string} plaintext
+ * @param {string} aad - Where the value is stored (session and field), so it can not be moved to another one
+ * @returns {string}
+ */
+function encryptAuthValue(plaintext, aad) {
+  if (!CURRENT_KEY_ID) return plaintext;
+  const dataKey = crypto.randomBytes(32);
+  const wrapped = seal(currentKey, dataKey);
+  const data = seal(dataKey, Buffer.from(plaintext, 'utf8'), aad);
+  return PREFIX + [CURRENT_KEY_ID, ...wrapped, ...data].join(':');
+}
+
+/**
+ * Decrypts a value written by encryptAuthValue, plaintext values are returned as is
+ * @param {string} stored
+ * @param {string} aad - Same as when encrypted
+ * @returns {string}
+ */
+function decryptAuthValue(stored, aad) {
+  if (!isEncrypted(stored)) return stored;
+  const { key, wrapped, data } = parseEncrypted(stored);
+  return unseal(unseal(key, wrapped), data, aad).toString('utf8');
+}
+
+/**
+ * Whether a value is plaintext or encrypted with a previous key, while a key is configured
+ * @param {string} stored
+ * @returns {boolean}
+ */
+function needsReencryption(stored) {
+  if (!CURRENT_KEY_ID) return false;
+  return !isEncrypted(stored) || stored.slice(PREFIX.length).split(':')[0] !== CURRENT_KEY_ID;
+}
+
+/**
+ * Encrypts a value with the current key: plaintext values are encrypted, the data key of
+ * values encrypted with a previous key is re-wrapped.
+ * @param {string} stored
+ * @param {string} aad - Same as when encrypted
+ * @returns {string}
+ */
+function reencryptAuthValue(stored, aad) {
+  if (!isEncrypted(stored)) return encryptAuthValue(stored, aad);
+  const { key, wrapped, data } = parseEncrypted(stored);
+  return PREFIX + [CURRENT_KEY_ID, ...seal(currentKey, unseal(key, wrapped)), ...data].join(':');
+}
+
+export {
+  CURRENT_KEY_ID,
+  encryptAuthValue,
+  decryptAuthValue,
+  needsReencryption,
+  reencryptAuthValue
+};
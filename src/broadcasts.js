@@ -0,0 +1,275 @@
+import crypto from 'crypto'
+import { redisClient } from './use_redis_auth_state.js'
+import { validateMessagePayload, buildMessageContent, payloadType } from './messages.js'
+import { enqueueMessage, storeSharedMedia, queueEvents } from './send_queue.js'
+import { statusEvents, getMessageStatus } from './message_status.js'
+import logger from './logger.js'
+import { redisKey } from './redis_keys.js'
+import { resolveJid, invalidJidMessage } from './jids.js'
+import { checkNumbers } from './contacts.js'
+
+const MAX_RECIPIENTS = Number(process.env.BROADCAST_MAX_RECIPIENTS) || 1000;
+const BROADCAST_TTL_SECONDS = Number(process.env.BROADCAST_TTL_SECONDS) || 30 * 24 * 3600; // 30 days
+
+// Recipient statuses only move forward, except to failed
+const STATUS_RANK = { queued: 0, sent: 1, delivered: 2, read: 3 };
+
+// Redis keys
+const broadcastsKey = (sessionId) => redisKey('broadcasts', sessionId); // sorted set broadcastId by creation time
+const broadcastKey = (sessionId, broadcastId) => redisKey('broadcast', sessionId, broadcastId); // hash: info -> JSON, <index> -> recipient JSON
+const broadcastMessageKey = (sessionId, messageId) => redisKey('broadcast-message', sessionId, messageId); // "<broadcastId>:<index>"
+
+/**
+ * Replaces {{variable}} placeholders. Missing variables are replaced by an empty string.
+ * @param {string} text
+ * @param {object} variables
+ * @returns {string}
+ */
+function renderTemplate(text, variables = {}) {
+  return text.replace(/\{\{\s*([\w.-]+)\s*\}\}/g, (match, name) => variables[name] ?? '');
+}
+
+/**
+ * Renders the text fields of a message template for one recipient
+ * @param {object} template - Send payload (see messages.js)
+ * @param {object} variables
+ * @returns {object} Send payload
+ */
+function renderMessage(template, variables) {
+  const rendered = { ...template };
+  for (const field of ['text', 'caption', 'fileName']) {
+    if (typeof rendered[field] === 'string') rendered[field] = renderTemplate(rendered[field], variables);
+  }
+  return rendered;
+}
+
+/**
+ * Validates a broadcast request
+ * @param {object} body - Request body
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateBroadcast({ recipients, template, sendAt }) {
+  if (!Array.isArray(recipients) || !recipients.length) return "recipients must be a non empty array";
+  if (recipients.length > MAX_RECIPIENTS) return `A broadcast can have at most ${MAX_RECIPIENTS} recipients`;
+  const invalid = recipients.findIndex((r) => !r || !r.to || (r.variables !== undefined && typeof r.variables !== 'object'));
+  if (invalid !== -1) return `recipients[${invalid}] must have a "to" and optional "variables" object`;
+  const unresolved = recipients.findIndex((r) => !resolveJid(r.to));
+  if (unresolved !== -1) return `recipients[${unresolved}]: ${invalidJidMessage(recipients[unresolved].to)}`;
+  if (!template || typeof template !== 'object') return "template is required";
+  const templateError = validateMessagePayload(template);
+  if (templateError) return `Invalid template: ${templateError}`;
+  if (sendAt !== undefined && Number.isNaN(Date.parse(sendAt))) return "sendAt must be an ISO date";
+  return null;
+}
+
+/**
+ * Message content of one recipient: the content built once from the template, with its text fields rendered
+ * @param {object} baseContent - Baileys AnyMessageContent built from the template
+ * @param {object} template - Send payload with {{variable}} placeholders
+ * @param {object} variables
+ * @returns {object} Baileys AnyMessageContent
+ */
+function renderContent(baseContent, template, variables) {
+  const rendered = renderMessage(template, variables);
+  const content = { ...baseContent };
+  if (content.text !== undefined) content.text = rendered.text;
+  if (content.caption !== undefined) content.caption = rendered.caption;
+  if (content.fileName !== undefined && rendered.fileName) content.fileName = rendered.fileName;
+  return content;
+}
+
+/**
+ * Creates a broadcast and queues one message per recipient.
+ * The broadcast is stored before the first message is queued, so the status updates of the
+ * messages sent meanwhile find their recipient.
+ * @param {string} sessionId - Session identifier
+ * @param {object} sock - Baileys socket, used for the onWhatsApp check
+ * @param {object} options
+ * @param {Array} options.recipients - [{ to, jid, variables }], jid resolved from `to`
+ * @param {object} options.template - Send payload with {{variable}} placeholders
+ * @param {string} [options.sendAt] - ISO date, do not send before it
+ * @param {boolean} [options.checkOnWhatsApp] - Skip numbers not registered on WhatsApp
+ * @returns {Promise<object>} Broadcast
+ */
+async function createBroadcast(sessionId, sock, { recipients, template, sendAt, checkOnWhatsApp: check }) {
+  const id = crypto.randomUUID();
+  const sendAtMs = sendAt ? Date.parse(sendAt) : undefined;
+
+  let registered = null;
+  if (check) {
+    const userJids = [...new Set(recipients.map(({ jid }) => jid).filter((jid) => jid.endsWith('@s.whatsapp.net')))];
+    const results = await checkNumbers(sock, userJids);
+    // requested JID -> JID reported by WhatsApp, which can differ (e.g. Brazilian 9th digit)
+    registered = new Map(results.filter(({ exists }) => exists).map(({ input, jid }) => [input, jid]));
+  }
+
+  const info = {
+    id,
+    createdAt: new Date().toISOString(),
+    sendAt: sendAtMs ? new Date(sendAtMs).toISOString() : null,
+    checkOnWhatsApp: !!check,
+    template: { ...template, base64: undefined }, // the media is only stored with the queued messages
+    total: recipients.length
+  };
+
+  const items = recipients.map(({ to, jid, variables }, index) => {
+    const item = { index, to, jid, variables: variables || {}, status: 'queued' };
+    if (registered && jid.endsWith('@s.whatsapp.net') && !registered.has(jid)) {
+      return Object.assign(item, { status: 'failed', error: 'Not on WhatsApp' });
+    }
+    if (registered?.has(jid)) item.jid = registered.get(jid);
+    item.jobId = crypto.randomUUID();
+    return item;
+  });
+
+  const fields = { info: JSON.stringify(info) };
+  for (const item of items) fields[item.index] = JSON.stringify(item);
+  await redisClient.multi()
+    .hSet(broadcastKey(sessionId, id), fields)
+    .expire(broadcastKey(sessionId, id), BROADCAST_TTL_SECONDS)
+    .zAdd(broadcastsKey(sessionId), { score: Date.now(), value: id })
+    .exec();
+
+  // the media is decoded and stored once, every job references it
+  const type = payloadType(template);
+  const baseContent = buildMessageContent(template);
+  const mediaId = Buffer.isBuffer(baseContent[type]) ? await storeSharedMedia(sessionId, baseContent[type], sendAtMs) : null;
+  if (mediaId) delete baseContent[type];
+
+  for (const item of items.filter(({ jobId }) => jobId)) {
+    try {
+      await enqueueMessage(sessionId, {
+        id: item.jobId,
+        chatId: item.jid,
+        content: renderContent(baseContent, template, item.variables),
+        type,
+        sendAt: sendAtMs,
+        meta: { broadcastId: id, index: item.index },
+        mediaId
+      });
+    } catch (err) {
+      logger.error({ sessionId, broadcastId: id, index: item.index, error: err }, "Failed to queue broadcast message");
+      Object.assign(item, { status: 'failed', error: err.message });
+      await updateRecipient(sessionId, id, item.index, { status: 'failed', error: err.message });
+    }
+  }
+
+  return summarize(info, items);
+}
+
+/**
+ * Adds status counts to a broadcast
+ */
+function summarize(info, items) {
+  const counts = { queued: 0, sent: 0, delivered: 0, read: 0, failed: 0 };
+  for (const { status } of items) counts[status]++;
+  return { ...info, counts, recipients: items };
+}
+
+/**
+ * Gets a broadcast with the status of each recipient
+ * @param {string} sessionId - Session identifier
+ * @param {string} broadcastId - Broadcast identifier
+ * @returns {Promise<object|null>}
+ */
+async function getBroadcast(sessionId, broadcastId) {
+  const stored = await redisClient.hGetAll(broadcastKey(sessionId, broadcastId));
+  if (!stored.info) return null;
+  const { info, ...recipients } = stored;
+  const items = Object.values(recipients)
+    .map((value) => JSON.parse(value))
+    .sort((a, b) => a.index - b.index);
+  return summarize(JSON.parse(info), items);
+}
+
+/**
+ * Lists the broadcasts of a session, newest first (without recipients)
+ * @param {string} sessionId - Session identifier
+ * @returns {Promise<Array>}
+ */
+async function listBroadcasts(sessionId) {
+  const ids = await redisClient.zRange(broadcastsKey(sessionId), 0, -1, { REV: true });
+  const broadcasts = [];
+  for (const id of ids) {
+    const broadcast = await getBroadcast(sessionId, id);
+    if (!broadcast) {
+      // expired
+      await redisClient.zRem(broadcastsKey(sessionId), id);
+      continue;
+    }
+    const { recipients, ...summary } = broadcast;
+    broadcasts.push(summary);
+  }
+  return broadcasts;
+}
+
+/**
+ * Updates the status of a recipient
+ * @param {string} sessionId - Session identifier
+ * @param {string} broadcastId - Broadcast identifier
+ * @param {number} index - Recipient index
+ * @param {object} changes - Fields to set, including `status`
+ */
+async function updateRecipient(sessionId, broadcastId, index, changes) {
+  const key = broadcastKey(sessionId, broadcastId);
+  const stored = await redisClient.hGet(key, String(index));
+  if (!stored) return;
+  const item = JSON.parse(stored);
+  if (changes.status !== 'failed' && STATUS_RANK[changes.status] <= STATUS_RANK[item.status]) return;
+  await redisClient.hSet(key, String(index), JSON.stringify({ ...item, ...changes }));
+}
+
+/**
+ * Recipient changes for a message status, null for statuses a recipient does not report
+ */
+function statusChanges(status) {
+  const at = new Date().toISOString();
+  if (status === 'delivered') return { status: 'delivered', deliveredAt: at };
+  if (status === 'read' || status === 'played') return { status: 'read', readAt: at };
+  return null;
+}
+
+queueEvents.on('sent', async (job) => {
+  if (!job.meta?.broadcastId) return;
+  const { broadcastId, index } = job.meta;
+  try {
+    await Promise.all([
+      updateRecipient(job.sessionId, broadcastId, index, { status: 'sent', messageId: job.messageId, sentAt: job.finishedAt }),
+      redisClient.set(broadcastMessageKey(job.sessionId, job.messageId), `${broadcastId}:${index}`, {
+        expiration: { type: 'EX', value: BROADCAST_TTL_SECONDS }
+      })
+    ]);
+    // acks received before the message was linked to its recipient
+    const changes = statusChanges((await getMessageStatus(job.sessionId, job.messageId))?.status);
+    if (changes) await updateRecipient(job.sessionId, broadcastId, index, changes);
+  } catch (err) {
+    logger.error({ sessionId: job.sessionId, broadcastId, error: err }, "Failed to update broadcast recipient");
+  }
+});
+
+queueEvents.on('failed', (job) => {
+  if (!job.meta?.broadcastId) return;
+  const { broadcastId, index } = job.meta;
+  updateRecipient(job.sessionId, broadcastId, index, { status: 'failed', error: job.error })
+    .catch((err) => logger.error({ sessionId: job.sessionId, broadcastId, error: err }, "Failed to update broadcast recipient"));
+});
+
+statusEvents.on('update', async ({ sessionId, messageId, status }) => {
+  const changes = statusChanges(status);
+  if (!changes) return;
+  try {
+    const ref = await redisClient.get(broadcastMessageKey(sessionId, messageId));
+    if (!ref) return;
+    const [broadcastId, index] = ref.split(':');
+    await updateRecipient(sessionId, broadcastId, Number(index), changes);
+  } catch (err) {
+    logger.error({ sessionId, messageId, error: err }, "Failed to track broadcast message status");
+  }
+});
+
+export {
+  validateBroadcast,
+  createBroadcast,
+  getBroadcast,
+  listBroadcasts
+};
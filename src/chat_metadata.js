@@ -0,0 +1,113 @@
+import { redisClient } from './use_redis_auth_state.js'
+import { redisKey } from './redis_keys.js'
+
+// Our own CRM data about each chat, WhatsApp does not know about it
+
+const MAX_TAGS = 50;
+const MAX_TEXT_LENGTH = 5000;
+
+// Redis keys
+const chatMetadataKey = (sessionId) => redisKey('chat-metadata', sessionId); // hash chatId -> metadata JSON
+
+const EMPTY_METADATA = { assignedTeacher: null, studentId: null, tags: [], notes: null, updatedAt: null };
+
+// Writes the metadata of a chat only if it is still the one the update was computed from (ARGV[2], '' if unset)
+const COMPARE_AND_SET_SCRIPT = `if (redis.call('HGET', KEYS[1], ARGV[1]) or '') ~= ARGV[2] then return 0 end
+redis.call('HSET', KEYS[1], ARGV[1], ARGV[3])
+return 1`;
+// Concurrent updates of the same chat are merged by retrying, this many times before giving up
+const MAX_UPDATE_ATTEMPTS = 5;
+
+/**
+ * Validates a chat metadata update
+ * @param {object} body - Request body: { assignedTeacher?, studentId?, tags?, notes? }, null clears a field
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateChatMetadata(body) {
+  const { assignedTeacher, studentId, tags, notes } = body || {};
+  if ([assignedTeacher, studentId, tags, notes].every((value) => value === undefined)) {
+    return "Nothing to update, expected assignedTeacher, studentId, tags or notes";
+  }
+  for (const [name, value] of Object.entries({ assignedTeacher, studentId, notes })) {
+    if (value !== undefined && value !== null && (typeof value !== 'string' || value.length > MAX_TEXT_LENGTH)) {
+      return `${name} must be a string of up to ${MAX_TEXT_LENGTH} characters or null`;
+    }
+  }
+  if (tags !== undefined && tags !== null) {
+    if (!Array.isArray(tags) || tags.some((tag) => typeof tag !== 'string' || !tag.trim())) return "tags must be an array of non empty strings";
+    if (tags.length > MAX_TAGS) return `tags accepts up to ${MAX_TAGS} tags`;
+  }
+  return null;
+}
+
+/**
+ * Whether a chat has a tag, ignoring case
+ * @param {object} metadata - Chat metadata
+ * @param {string} tag
+ * @returns {boolean}
+ */
+const hasTag = (metadata, tag) => metadata.tags.some((t) => t.toLowerCase() === tag.toLowerCase());
+
+/**
+ * Gets the metadata of a chat
+ * @param {string} sessionId - Session identifier
+ * @param {string} chatId - Chat JID
+ * @returns {Promise<object>} { assignedTeacher, studentId, tags, notes, updatedAt }, empty fields if never set
+ */
+async function getChatMetadata(sessionId, chatId) {
+  const stored = await redisClient.hGet(chatMetadataKey(sessionId), chatId);
+  return stored ? JSON.parse(stored) : { ...EMPTY_METADATA };
+}
+
+/**
+ * Gets the metadata of every chat of a session that has some
+ * @param {string} sessionId - Session identifier
+ * @returns {Promise<Map>} chatId -> metadata
+ */
+async function getAllChatMetadata(sessionId) {
+  const stored = await redisClient.hGetAll(chatMetadataKey(sessionId));
+  return new Map(Object.entries(stored).map(([chatId, value]) => [chatId, JSON.parse(value)]));
+}
+
+/**
+ * Updates the metadata of a chat, fields not given are kept, also when another request updates the chat at the same time
+ * @param {string} sessionId - Session identifier
+ * @param {string} chatId - Chat JID
+ * @param {object} fields - Validated with validateChatMetadata
+ * @returns {Promise<object>} Updated metadata
+ */
+async function updateChatMetadata(sessionId, chatId, { assignedTeacher, studentId, tags, notes }) {
+  const updates = Object.fromEntries(Object.entries({ assignedTeacher, studentId, tags, notes })
+    .filter(([, value]) => value !== undefined));
+  for (let attempt = 0; attempt < MAX_UPDATE_ATTEMPTS; attempt++) {
+    const stored = await redisClient.hGet(chatMetadataKey(sessionId), chatId);
+    const current = stored ? JSON.parse(stored) : { ...EMPTY_METADATA };
+    const metadata = { ...current, ...updates, updatedAt: new Date().toISOString() };
+    // without duplicates, keeping the first spelling
+    metadata.tags = (metadata.tags || []).map((tag) => tag.trim())
+      .filter((tag, i, all) => all.findIndex((t) => t.toLowerCase() === tag.toLowerCase()) === i);
+    const written = await redisClient.eval(COMPARE_AND_SET_SCRIPT, {
+      keys: [chatMetadataKey(sessionId)],
+      arguments: [chatId, stored || '', JSON.stringify(metadata)]
+    });
+    if (written) return metadata;
+  }
+  throw new Error("Chat metadata is being updated concurrently, try again");
+}
+
+/**
+ * Removes the metadata of every chat of a session
+ * @param {string} sessionId - Session identifier
+ */
+async function clearChatMetadata(sessionId) {
+  await redisClient.del(chatMetadataKey(sessionId));
+}
+
+export {
+  validateChatMetadata,
+  hasTag,
+  getChatMetadata,
+  getAllChatMetadata,
+  updateChatMetadata,
+  clearChatMetadata
+};
@@ -0,0 +1,132 @@
+import { toNumber, isJidGroup } from "@whiskeysockets/baileys";
+import { foldText, parseTimestamp } from './messages.js'
+import { hasTag } from './chat_metadata.js'
+
+// Helpers for the chat list and chat actions endpoints
+
+const CHAT_TYPES = ['group', 'individual'];
+const MAX_PAGE_SIZE = 500;
+// WhatsApp stores -1 as the mute end of chats muted until unmuted
+const MUTED_FOREVER = -1;
+
+/**
+ * When a chat is muted until, see Chat.muteEndTime
+ * @param {object} chat - Store chat
+ * @returns {string|null} ISO date, "always", or null if not muted
+ */
+function mutedUntil(chat) {
+  const end = chat.muteEndTime ? toNumber(chat.muteEndTime) : null;
+  if (end === MUTED_FOREVER) return 'always';
+  return end && end > Date.now() ? new Date(end).toISOString() : null;
+}
+
+/**
+ * Converts a store chat to a chat list item
+ * @param {object} chat - Store chat
+ * @param {string[]} labels - Label ids of the chat
+ * @param {object} [metadata] - CRM metadata of the chat
+ * @returns {object}
+ */
+function formatChatSummary(chat, labels, metadata) {
+  return {
+    id: chat.id,
+    name: chat.name || null,
+    unreadCount: chat.unreadCount ?? 0, // -1 when marked as unread
+    conversationTimestamp: chat.conversationTimestamp ? toNumber(chat.conversationTimestamp) : null,
+    isGroup: !!isJidGroup(chat.id),
+    archived: !!chat.archived,
+    pinned: !!chat.pinned,
+    mutedUntil: mutedUntil(chat),
+    labels,
+    tags: metadata?.tags || []
+  };
+}
+
+/**
+ * Parses the chat list query params
+ * @param {object} query - { limit, offset, unread, type, archived, since, q, label, tag }
+ * @returns {{ error: string }|{ limit: number, offset: number, filters: object }} limit is Infinity when not paging
+ */
+function parseChatListQuery({ limit, offset, unread, type, archived, since, q, label, tag }) {
+  const pageSize = limit === undefined ? Infinity : Number(limit);
+  if (limit !== undefined && (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > MAX_PAGE_SIZE)) {
+    return { error: `limit must be a number from 1 to ${MAX_PAGE_SIZE}` };
+  }
+  const start = offset === undefined ? 0 : Number(offset);
+  if (!Number.isInteger(start) || start < 0) return { error: "offset must be a positive number" };
+  if (type !== undefined && !CHAT_TYPES.includes(type)) return { error: `type must be one of ${CHAT_TYPES.join(', ')}` };
+  for (const [name, value] of Object.entries({ unread, archived })) {
+    if (value !== undefined && !['true', 'false'].includes(value)) return { error: `${name} must be true or false` };
+  }
+  const sinceSeconds = parseTimestamp(since);
+  if (Number.isNaN(sinceSeconds)) return { error: "since must be an ISO date or unix timestamp" };
+
+  return {
+    limit: pageSize,
+    offset: start,
+    filters: {
+      unread: unread === undefined ? undefined : unread === 'true',
+      type,
+      archived: archived === undefined ? undefined : archived === 'true',
+      since: sinceSeconds,
+      q: q ? foldText(String(q)) : undefined,
+      label: label ? String(label) : undefined,
+      tag: tag ? String(tag) : undefined
+    }
+  };
+}
+
+/**
+ * Whether a chat list item matches the filters
+ * @param {object} chat - Result of formatChatSummary
+ * @param {object} filters - From parseChatListQuery, with `label` resolved to a label id
+ * @returns {boolean}
+ */
+function matchesChatFilters(chat, { unread, type, archived, since, q, label, tag }) {
+  if (unread !== undefined && (chat.unreadCount !== 0) !== unread) return false;
+  if (type !== undefined && chat.isGroup !== (type === 'group')) return false;
+  if (archived !== undefined && chat.archived !== archived) return false;
+  if (since !== undefined && (chat.conversationTimestamp || 0) < since) return false;
+  if (q && !foldText(chat.name || '').includes(q) && !chat.id.includes(q)) return false;
+  if (label && !chat.labels.includes(label)) return false;
+  if (tag && !hasTag(chat, tag)) return false;
+  return true;
+}
+
+/**
+ * Last message of a chat, chatModify needs it to archive, mark read or delete a chat
+ * @param {object} store - Session store
+ * @param {string} chatId - Chat JID
+ * @returns {Array} [{ key, messageTimestamp }], empty if no message is stored
+ */
+function lastMessageList(store, chatId) {
+  const last = store.messages[chatId]?.array.at(-1);
+  return last ? [{ key: last.key, messageTimestamp: last.messageTimestamp }] : [];
+}
+
+/**
+ * Validates a mute duration
+ * @param {any} durationSeconds - Seconds, missing to mute until unmuted
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateMuteDuration(durationSeconds) {
+  if (durationSeconds === undefined || durationSeconds === null) return null;
+  if (!Number.isInteger(durationSeconds) || durationSeconds <= 0) return "durationSeconds must be a positive number of seconds";
+  return null;
+}
+
+/**
+ * Mute end to send to WhatsApp
+ * @param {number} [durationSeconds] - Missing to mute until unmuted
+ * @returns {number} Unix milliseconds, or MUTED_FOREVER
+ */
+const muteEndTimestamp = (durationSeconds) => durationSeconds ? Date.now() + durationSeconds * 1000 : MUTED_FOREVER;
+
+export {
+  formatChatSummary,
+  parseChatListQuery,
+  matchesChatFilters,
+  lastMessageList,
+  validateMuteDuration,
+  muteEndTimestamp
+};
@@ -0,0 +1,164 @@
+import os from 'os'
+import http from 'http'
+import https from 'https'
+import crypto from 'crypto'
+import { redisClient } from './use_redis_auth_state.js'
+import logger from './logger.js'
+import { redisKey } from './redis_keys.js'
+
+// Each session is connected by a single instance, the one holding its lease in Redis.
+// Leases expire unless renewed, so sessions of a dead instance are adopted by the others.
+
+const INSTANCE_ID = process.env.INSTANCE_ID || `${os.hostname()}-${crypto.randomBytes(3).toString('hex')}`;
+// URL where the other instances reach this one
+const INSTANCE_URL = process.env.INSTANCE_URL || `http://${os.hostname()}:${process.env.PORT || 3000}`;
+const LEASE_TTL_MS = Number(process.env.SESSION_LEASE_TTL_MS) || 30000;
+const HEARTBEAT_MS = Math.floor(LEASE_TTL_MS / 3);
+const FORWARDED_HEADER = 'x-forwarded-by-instance';
+
+// Redis keys
+const INSTANCES_KEY = redisKey('instances'); // hash instanceId -> { id, url, startedAt } JSON
+const instanceKey = (instanceId) => redisKey('instance', instanceId); // expires if the instance stops renewing it
+const leaseKey = (sessionId) => redisKey('lease', sessionId); // instanceId of the owner
+
+// Renews or releases a lease only if this instance holds it
+const RENEW_SCRIPT = `if redis.call('GET', KEYS[1]) == ARGV[1] then return redis.call('PEXPIRE', KEYS[1], ARGV[2]) else return 0 end`;
+const RELEASE_SCRIPT = `if redis.call('GET', KEYS[1]) == ARGV[1] then return redis.call('DEL', KEYS[1]) else return 0 end`;
+
+/**
+ * Announces this instance to the cluster, call it on every heartbeat
+ * @returns {Promise<void>}
+ */
+async function registerInstance() {
+  await redisClient.multi()
+    .hSetNX(INSTANCES_KEY, INSTANCE_ID, JSON.stringify({ id: INSTANCE_ID, url: INSTANCE_URL, startedAt: new Date().toISOString() }))
+    .set(instanceKey(INSTANCE_ID), INSTANCE_URL, { expiration: { type: 'PX', value: LEASE_TTL_MS } })
+    .exec();
+}
+
+/**
+ * Lists the live instances and forgets the dead ones
+ * @returns {Promise<Array>} [{ id, url, startedAt }]
+ */
+async function listInstances() {
+  const instances = Object.values(await redisClient.hGetAll(INSTANCES_KEY)).map((value) => JSON.parse(value));
+  if (!instances.length) return [];
+  const alive = await redisClient.mGet(instances.map(({ id }) => instanceKey(id)));
+  const dead = instances.filter((instance, i) => !alive[i]).map(({ id }) => id);
+  if (dead.length) await redisClient.hDel(INSTANCES_KEY, dead);
+  return instances.filter((instance, i) => alive[i]);
+}
+
+/**
+ * Claims a session for this instance
+ * @param {string} sessionId - Session identifier
+ * @returns {Promise<boolean>} Whether this instance owns the session
+ */
+async function claimSession(sessionId) {
+  const claimed = await redisClient.set(leaseKey(sessionId), INSTANCE_ID, {
+    condition: 'NX',
+    expiration: { type: 'PX', value: LEASE_TTL_MS }
+  });
+  if (claimed) return true;
+  return await redisClient.get(leaseKey(sessionId)) === INSTANCE_ID;
+}
+
+/**
+ * Renews the leases of the sessions connected by this instance
+ * @param {string[]} sessionIds - Local sessions
+ * @returns {Promise<string[]>} Sessions whose lease was lost, they must be stopped here
+ */
+async function renewLeases(sessionIds) {
+  const lost = [];
+  for (const sessionId of sessionIds) {
+    const renewed = await redisClient.eval(RENEW_SCRIPT, {
+      keys: [leaseKey(sessionId)],
+      arguments: [INSTANCE_ID, String(LEASE_TTL_MS)]
+    });
+    if (!renewed && !await claimSession(sessionId)) lost.push(sessionId);
+  }
+  return lost;
+}
+
+/**
+ * Releases the lease of a session, if this instance holds it
+ * @param {string} sessionId - Session identifier
+ */
+async function releaseSession(sessionId) {
+  await redisClient.eval(RELEASE_SCRIPT, { keys: [leaseKey(sessionId)], arguments: [INSTANCE_ID] });
+}
+
+/**
+ * Gets the instance that owns a session
+ * @param {string} sessionId - Session identifier
+ * @returns {Promise<object|null>} { id, url, local }, null if no instance owns it
+ */
+async function getSessionOwner(sessionId) {
+  const ownerId = await redisClient.get(leaseKey(sessionId));
+  if (!ownerId) return null;
+  if (ownerId === INSTANCE_ID) return { id: INSTANCE_ID, url: INSTANCE_URL, local: true };
+  const stored = await redisClient.hGet(INSTANCES_KEY, ownerId);
+  return { id: ownerId, url: stored ? JSON.parse(stored).url : null, local: false };
+}
+
+/**
+ * Whether a request was already forwarded by another instance
+ * @param {object} req - Express request object
+ * @returns {boolean}
+ */
+const isForwarded = (req) => !!req.headers[FORWARDED_HEADER];
+
+/**
+ * Proxies a request to another instance, streaming the body both ways (works for uploads and SSE)
+ * @param {object} req - Express request object, its body must not have been read
+ * @param {object} res - Express response object
+ * @param {string} url - Base URL of the target instance
+ */
+function forwardRequest(req, res, url) {
+  const target = new URL(req.originalUrl, url);
+  const client = target.protocol === 'https:' ? https : http;
+  const upstream = client.request(target, {
+    method: req.method,
+    headers: { ...req.headers, host: target.host, [FORWARDED_HEADER]: INSTANCE_ID }
+  }, (upstreamRes) => {
+    res.writeHead(upstreamRes.statusCode, upstreamRes.headers);
+    upstreamRes.pipe(res);
+  });
+  upstream.on('error', (err) => {
+    logger.warn({ url: target.href, error: err.message }, "Failed to forward request to session owner");
+    if (!res.headersSent) res.status(502).json({ error: "Session owner instance unreachable" });
+    else res.destroy(err);
+  });
+  res.on('close', () => upstream.destroy());
+  req.pipe(upstream);
+}
+
+/**
+ * Fetches JSON from another instance with the api key of the original request
+ * @param {object} req - Express request object
+ * @param {string} url - Base URL of the target instance
+ * @param {string} path - Path and query
+ * @returns {Promise<any>}
+ */
+async function fetchFromInstance(req, url, path) {
+  const response = await fetch(new URL(path, url), {
+    headers: { 'x-api-key': req.headers['x-api-key'] || '', [FORWARDED_HEADER]: INSTANCE_ID },
+    signal: AbortSignal.timeout(10000)
+  });
+  if (!response.ok) throw new Error(`Instance ${url} responded ${response.status}`);
+  return response.json();
+}
+
+export {
+  INSTANCE_ID,
+  HEARTBEAT_MS,
+  registerInstance,
+  listInstances,
+  claimSession,
+  renewLeases,
+  releaseSession,
+  getSessionOwner,
+  isForwarded,
+  forwardRequest,
+  fetchFromInstance
+};
@@ -0,0 +1,193 @@
+import { isJidUser, jidNormalizedUser } from "@whiskeysockets/baileys";
+import { redisClient } from './use_redis_auth_state.js'
+import { redisKey } from './redis_keys.js'
+import { foldText } from './messages.js'
+import { resolveJid } from './jids.js'
+import logger from './logger.js'
+
+// Helpers for the contacts endpoints
+
+// How long profile lookups (picture, status, business profile) are cached
+const CONTACT_PROFILE_CACHE_SECONDS = Number(process.env.CONTACT_PROFILE_CACHE_SECONDS) || 600;
+// Lookup errors that are answers: hidden by privacy settings (401, 403) or not found (404)
+const FINAL_LOOKUP_ERRORS = [401, 403, 404];
+const MAX_CHECK_NUMBERS = 500;
+// numbers per onWhatsApp query
+const CHECK_BATCH_SIZE = 50;
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 500;
+
+// Redis keys
+const profileKey = (sessionId, jid) => redisKey('contact-profile', sessionId, jid); // profile JSON, expires
+
+/**
+ * Name to show for a contact: the one saved in the phone, the business name or the one the contact chose
+ * @param {object} contact - Store contact
+ * @returns {string|null}
+ */
+const displayName = (contact) => contact.name || contact.verifiedName || contact.notify || null;
+
+/**
+ * Converts a store contact to the contacts list item
+ * @param {object} contact - Store contact
+ * @returns {object}
+ */
+function formatContact(contact) {
+  return {
+    id: contact.id,
+    name: contact.name || null,
+    pushname: contact.notify || null,
+    verifiedName: contact.verifiedName || null,
+    displayName: displayName(contact)
+  };
+}
+
+/**
+ * Lists the contacts of the store, by name
+ * @param {object} store - Session store
+ * @param {object} options
+ * @param {string} [options.q] - Search in names and number, ignoring case and accents
+ * @param {number} options.limit
+ * @param {number} options.offset
+ * @returns {{ contacts: Array, total: number, nextCursor: object|null }}
+ */
+function listContacts(store, { q, limit, offset }) {
+  const query = q ? foldText(q) : null;
+  const contacts = Object.values(store.contacts)
+    .filter((contact) => isJidUser(contact.id))
+    .filter((contact) => !query
+      || [contact.name, contact.notify, contact.verifiedName].some((name) => name && foldText(name).includes(query))
+      || contact.id.includes(query))
+    .sort((a, b) => (displayName(a) || a.id).localeCompare(displayName(b) || b.id));
+  return {
+    contacts: contacts.slice(offset, offset + limit).map(formatContact),
+    total: contacts.length,
+    nextCursor: offset + limit < contacts.length ? { offset: offset + limit, limit } : null
+  };
+}
+
+/**
+ * Parses the paging query params of the contact list
+ * @param {object} query - { limit, offset }
+ * @returns {{ error: string }|{ limit: number, offset: number }}
+ */
+function parsePaging({ limit, offset }) {
+  const pageSize = limit === undefined ? DEFAULT_PAGE_SIZE : Number(limit);
+  if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > MAX_PAGE_SIZE) {
+    return { error: `limit must be a number from 1 to ${MAX_PAGE_SIZE}` };
+  }
+  const start = offset === undefined ? 0 : Number(offset);
+  if (!Number.isInteger(start) || start < 0) return { error: "offset must be a positive number" };
+  return { limit: pageSize, offset: start };
+}
+
+/**
+ * Validates the numbers to check
+ * @param {any} numbers
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateNumbersToCheck(numbers) {
+  if (!Array.isArray(numbers) || !numbers.length) return "numbers must be a non empty array";
+  if (numbers.length > MAX_CHECK_NUMBERS) return `numbers accepts up to ${MAX_CHECK_NUMBERS} numbers`;
+  if (numbers.some((n) => typeof n !== 'string' && typeof n !== 'number')) return "numbers must be phone numbers";
+  return null;
+}
+
+/**
+ * Checks which phone numbers have WhatsApp, querying them in batches.
+ * The JID returned is the one WhatsApp reports, which can differ from the number given
+ * (e.g. Brazilian numbers with or without the 9th digit, Mexican numbers with 52 or 521).
+ * @param {object} sock - Baileys socket
+ * @param {Array<string|number>} numbers - Phone numbers (see phoneToJid) or user JIDs
+ * @returns {Promise<Array>} [{ input, jid, exists }], jid null for numbers that can not be parsed
+ */
+async function checkNumbers(sock, numbers) {
+  const results = numbers.map((input) => {
+    // user JIDs are accepted too, e.g. broadcast recipients already resolved
+    const resolved = resolveJid(input);
+    const jid = resolved?.endsWith('@s.whatsapp.net') ? resolved : null;
+    if (!jid) return { input, jid: null, exists: false, error: "Invalid phone number" };
+    return { input, jid, exists: false };
+  });
+
+  const jids = [...new Set(results.map(({ jid }) => jid).filter(Boolean))];
+  const found = new Map(); // requested JID -> JID reported by WhatsApp
+  for (let i = 0; i < jids.length; i += CHECK_BATCH_SIZE) {
+    const batch = jids.slice(i, i + CHECK_BATCH_SIZE);
+    const existing = await sock.onWhatsApp(...batch) || [];
+    const reported = existing.filter(({ exists }) => exists).map(({ jid }) => jidNormalizedUser(jid));
+    for (const jid of batch) {
+      if (reported.includes(jid)) found.set(jid, jid);
+    }
+    // a batch answer does not say which number each JID belongs to, the ones that differ are asked alone
+    if (reported.some((jid) => !batch.includes(jid))) {
+      for (const jid of batch.filter((jid) => !found.has(jid))) {
+        const [result] = await sock.onWhatsApp(jid) || [];
+        if (result?.exists) found.set(jid, jidNormalizedUser(result.jid));
+      }
+    }
+  }
+
+  for (const result of results) {
+    if (!found.has(result.jid)) continue;
+    result.jid = found.get(result.jid);
+    result.exists = true;
+  }
+  return results;
+}
+
+/**
+ * Fetches the profile picture, status and business profile of a contact, cached for CONTACT_PROFILE_CACHE_SECONDS
+ * unless a lookup failed for a transient reason
+ * @param {string} sessionId - Session identifier
+ * @param {object} sock - Baileys socket
+ * @param {string} jid - Contact JID
+ * @param {object} [options]
+ * @param {boolean} [options.refresh] - Skip the cache
+ * @returns {Promise<object>} { profilePictureUrl, status, statusSetAt, businessProfile, isOnWhatsApp, fetchedAt }
+ */
+async function getContactProfile(sessionId, sock, jid, { refresh = false } = {}) {
+  if (!refresh) {
+    const cached = await redisClient.get(profileKey(sessionId, jid));
+    if (cached) return JSON.parse(cached);
+  }
+
+  // each lookup fails on its own, e.g. pictures hidden by privacy settings or non business accounts.
+  // Those answers are final, other failures (timeouts, connection) are not cached so the next request retries.
+  let transientFailure = false;
+  const lookup = (name, fetch) => fetch().catch((err) => {
+    logger.info({ jid, error: err.message }, `Failed to fetch ${name}`);
+    if (!FINAL_LOOKUP_ERRORS.includes(err?.output?.statusCode)) transientFailure = true;
+    return null;
+  });
+  const [profilePictureUrl, statuses, businessProfile, registrations] = await Promise.all([
+    lookup('profile picture', () => sock.profilePictureUrl(jid, 'image')),
+    lookup('status', () => sock.fetchStatus(jid)),
+    lookup('business profile', () => sock.getBusinessProfile(jid)),
+    isJidUser(jid) ? lookup('WhatsApp registration', () => sock.onWhatsApp(jid)) : null
+  ]);
+  const status = statuses?.[0]?.status;
+
+  const profile = {
+    profilePictureUrl: profilePictureUrl || null,
+    status: status?.status ?? null,
+    statusSetAt: status?.setAt ? new Date(status.setAt).toISOString() : null,
+    businessProfile: businessProfile || null,
+    isOnWhatsApp: !!registrations?.[0]?.exists,
+    fetchedAt: new Date().toISOString()
+  };
+  if (!transientFailure) {
+    await redisClient.set(profileKey(sessionId, jid), JSON.stringify(profile), {
+      expiration: { type: 'EX', value: CONTACT_PROFILE_CACHE_SECONDS }
+    });
+  }
+  return profile;
+}
+
+export {
+  listContacts,
+  parsePaging,
+  validateNumbersToCheck,
+  checkNumbers,
+  getContactProfile
+};
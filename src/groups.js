@@ -0,0 +1,62 @@
+import { resolveJid } from './jids.js'
+
+// Helpers for the group management endpoints
+
+const PARTICIPANT_ACTIONS = ['add', 'remove', 'promote', 'demote'];
+
+/**
+ * Converts Baileys group metadata to the API response
+ * @param {object} metadata - GroupMetadata
+ * @returns {object}
+ */
+function formatGroupMetadata(metadata) {
+  const participants = metadata.participants.map(({ id, admin }) => ({ id, admin: admin || null }));
+  return {
+    id: metadata.id,
+    subject: metadata.subject,
+    description: metadata.desc || null,
+    owner: metadata.owner || null,
+    creation: metadata.creation ? new Date(metadata.creation * 1000).toISOString() : null,
+    size: metadata.size || participants.length,
+    announce: !!metadata.announce, // only admins can send messages
+    restrict: !!metadata.restrict, // only admins can edit group info
+    ephemeralDuration: metadata.ephemeralDuration || null,
+    participants,
+    admins: participants.filter(({ admin }) => admin).map(({ id }) => id)
+  };
+}
+
+/**
+ * Validates a list of participants sent by the client
+ * @param {*} participants
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateParticipants(participants) {
+  if (!Array.isArray(participants) || !participants.length) return "participants must be a non empty array";
+  if (participants.some((p) => (typeof p !== 'string' && typeof p !== 'number') || !resolveJid(p))) return "participants must be phone numbers or JIDs";
+  return null;
+}
+
+/**
+ * Validates a group settings update
+ * @param {object} body - Request body
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateGroupUpdate({ subject, description, announce, restrict, ephemeralDuration }) {
+  if ([subject, description, announce, restrict, ephemeralDuration].every((value) => value === undefined)) {
+    return "Nothing to update, expected subject, description, announce, restrict or ephemeralDuration";
+  }
+  if (subject !== undefined && (typeof subject !== 'string' || !subject.trim())) return "subject must be a non empty string";
+  if (description !== undefined && description !== null && typeof description !== 'string') return "description must be a string";
+  if (announce !== undefined && typeof announce !== 'boolean') return "announce must be a boolean";
+  if (restrict !== undefined && typeof restrict !== 'boolean') return "restrict must be a boolean";
+  if (ephemeralDuration !== undefined && !Number.isInteger(ephemeralDuration)) return "ephemeralDuration must be seconds (0 to disable)";
+  return null;
+}
+
+export {
+  PARTICIPANT_ACTIONS,
+  formatGroupMetadata,
+  validateParticipants,
+  validateGroupUpdate
+};
@@ -1,9 +1,36 @@
 import {
   makeWASocket,
-  makeInMemoryStore,
   DisconnectReason
 } from "@whiskeysockets/baileys";
-import { useRedisAuthState, redisClient } from "./use_redis_auth_state.js"
+import { useRedisAuthState, clearAuthState } from "./use_redis_auth_state.js"
+import {
+  registerSession,
+  updateSessionMetadata,
+  listSessionIds,
+  indexStoredSessions,
+  unregisterSession,
+  migrateLegacyKeys,
+  reencryptAuthStates
+} from './session_registry.js'
+import { makeRedisStore } from './redis_store.js'
+import { bindWebhooks, resumeWebhookDeliveries, stopWebhookDeliveries, clearWebhooks } from './webhooks.js'
+import { clearMediaCache } from './media.js'
+import { MediaUrlError } from './media_urls.js'
+import { clearChatMetadata } from './chat_metadata.js'
+import { startQueue, stopQueue, clearQueue } from './send_queue.js'
+import { startScheduler, stopScheduler, clearScheduled } from './scheduled_messages.js'
+import { bindMessageStatus } from './message_status.js'
+import { bindPresence, clearPresence } from './presence.js'
+import { sessionEvents, setSessionStatus, bindSessionStatus, getSessionStatus, clearSessionStatus } from './session_status.js'
+import { bindMetrics, recordReconnection } from './metrics.js'
+import {
+  HEARTBEAT_MS,
+  registerInstance,
+  listInstances,
+  claimSession,
+  renewLeases,
+  releaseSession
+} from './cluster.js'
 import logger from './logger.js'
 import version from './version.js'
 
@@ -12,6 +39,29 @@ const sessions = new Map(); // sessionId -> { socket, store }
 
 // Map to track reconnection attempts for exponential backoff
 const reconnectionAttempts = new Map(); // sessionId -> { attempts, lastAttempt, backoffMs }
+// WhatsApp sends the first QR right after connecting and a new one every 20 seconds
+const QR_WAIT_TIMEOUT_MS = 60000;
+
+/**
+ * Thrown when a session can not be started because another instance holds its lease
+ */
+class SessionOwnedError extends Error {
+  constructor(sessionId) {
+    super(`Session ${sessionId} is connected by another instance`);
+    this.name = 'SessionOwnedError';
+  }
+}
+
+/**
+ * Thrown to the requests waiting for a QR that will not come: the session connected, closed or timed out
+ */
+class QrUnavailableError extends Error {
+  constructor(message, statusCode) {
+    super(message);
+    this.name = 'QrUnavailableError';
+    this.statusCode = statusCode;
+  }
+}
 
 /**
  * Calculate exponential backoff delay with jitter
@@ -40,42 +90,79 @@ function shouldAttemptReconnection(sessionId) {
 }
 
 /**
- * Restores all sessions from Redis when the server starts
+ * Connects the stored sessions no instance owns, up to this instance's fair share,
+ * and hands one session over when this instance owns more than its share.
  * @returns {Promise<void>}
  */
-async function restoreSessionsFromRedis() {
-  try {
-    logger.info("Restoring sessions from Redis...");
-
-    // Get all keys in Redis
-    const keys = await redisClient.keys("*");
+async function balanceSessions() {
+  const [sessionIds, instances] = await Promise.all([listSessionIds(), listInstances()]);
+  const fairShare = Math.ceil(sessionIds.length / Math.max(instances.length, 1));
 
-    // Filter keys that have 'creds' field (these are session IDs)
-    const sessionIds = [];
-    for (const key of keys) {
-      const hasCreds = await redisClient.hExists(key, 'creds');
-      if (hasCreds) {
-        sessionIds.push(key);
-      }
+  for (const sessionId of sessionIds) {
+    if (sessions.size >= fairShare) break;
+    if (sessions.has(sessionId) || !await claimSession(sessionId)) continue;
+    try {
+      logger.info(`Restoring session: ${sessionId}`);
+      await createSession(sessionId);
+      logger.info(`Session restored: ${sessionId}`);
+    } catch (err) {
+      logger.error({ sessionId, error: err }, "Failed to restore session");
+      await releaseSession(sessionId);
     }
+  }
 
-    logger.info(`Found ${sessionIds.length} sessions in Redis`);
+  // one per heartbeat, so the instances below their share adopt them gradually
+  if (sessions.size > fairShare) {
+    const [sessionId] = sessions.keys();
+    logger.info({ sessionId, owned: sessions.size, fairShare }, "Handing session over to another instance");
+    await stopSession(sessionId);
+    await releaseSession(sessionId);
+  }
+}
 
-    // Restore each session
-    for (const sessionId of sessionIds) {
-      try {
-        logger.info(`Restoring session: ${sessionId}`);
-        await createSession(sessionId);
-        logger.info(`Session restored: ${sessionId}`);
-      } catch (err) {
-        logger.error({ sessionId, error: err }, "Failed to restore session");
-      }
+/**
+ * Renews the leases of the local sessions, stops the ones taken by another instance, finishes the legacy key migration and balances
+ */
+async function heartbeat() {
+  try {
+    await registerInstance();
+    const lost = await renewLeases(getActiveSessions());
+    for (const sessionId of lost) {
+      logger.warn({ sessionId }, "Session lease lost, stopping local connection");
+      await stopSession(sessionId);
     }
+    // instances that lost the migration lock at startup adopt the migrated sessions once it is done
+    await migrateLegacyKeys().catch((err) => logger.error({ error: err }, "Failed to migrate legacy Redis keys"));
+    await balanceSessions();
+  } catch (err) {
+    logger.error({ error: err }, "Session heartbeat failed");
+  }
+}
 
-    logger.info("Session restoration complete");
+/**
+ * Restores the sessions stored in Redis when the server starts.
+ * Each instance only connects the sessions it holds a lease for, and keeps adopting orphaned ones.
+ * @returns {Promise<void>}
+ */
+async function restoreSessionsFromRedis() {
+  logger.info("Restoring sessions from Redis...");
+  // a failed maintenance step must not keep the stored sessions from reconnecting
+  const steps = [
+    ['migrate legacy Redis keys', migrateLegacyKeys],
+    ['index stored sessions', indexStoredSessions],
+    ['re-encrypt auth states', reencryptAuthStates]
+  ];
+  for (const [step, run] of steps) {
+    await run().catch((err) => logger.error({ error: err }, `Failed to ${step}`));
+  }
+  try {
+    await registerInstance();
+    await balanceSessions();
+    logger.info(`Session restoration complete, ${sessions.size} sessions connected by this instance`);
   } catch (err) {
     logger.error({ error: err }, "Failed to restore sessions from Redis");
   }
+  setInterval(heartbeat, HEARTBEAT_MS).unref();
 }
 
 // Creates and configures a Baileys socket for the given session
@@ -99,6 +186,11 @@ async function makeConfiggedWASocket(sessionId, state, store, saveCreds){
   });
 
   store.bind(sock.ev);
+  bindMetrics(sessionId, sock);
+  bindSessionStatus(sessionId, sock);
+  bindWebhooks(sessionId, sock);
+  bindMessageStatus(sessionId, sock);
+  bindPresence(sessionId, sock);
 
   // Add global error handler to the new socket as well
   sock.ev.on("error", (err) => {
@@ -115,7 +207,7 @@ async function makeConfiggedWASocket(sessionId, state, store, saveCreds){
 /**
  * Creates a new WhatsApp session or returns an existing one
  * @param {string} id - Session identifier
- * @returns {Promise<object>} Session object with sock, store, and getNewQr
+ * @returns {Promise<object>} Session object with sock, store, getNewQr and getPairingCode
  */
 async function createSession(id) {
   logger.debug("called createSession", id)
@@ -124,44 +216,76 @@ async function createSession(id) {
     return sessions.get(id);
   }
 
+  if (!await claimSession(id)) {
+    throw new SessionOwnedError(id);
+  }
+
+  clearSessionStatus(id);
+  setSessionStatus(id, 'connecting');
+
   const { state, saveCreds } = await useRedisAuthState(id);
-  const store = makeInMemoryStore({ logger });
+  // chats, contacts and messages persisted in Redis, so they survive restarts
+  const store = makeRedisStore({ sessionId: id, logger });
+  await store.load();
 
-  const sock = await makeConfiggedWASocket(id, state, store, saveCreds)
+  // Bubble QR to waiting HTTP calls
+  const qrWaiters = new Set(); // { resolve, reject, timer }
 
-  // Bubble QR to waiting HTTP call
-  let qrResolver;
-  sock.ev.on("connection.update", async (update) => {
+  const settleQrWaiters = (settle) => {
+    for (const waiter of qrWaiters) {
+      clearTimeout(waiter.timer);
+      settle(waiter);
+    }
+    qrWaiters.clear();
+  };
+
+  // Creates a socket that reconnects itself when it closes
+  async function connect() {
+    const sock = await makeConfiggedWASocket(id, state, store, saveCreds);
+    sock.ev.on("connection.update", (update) => handleConnectionUpdate(sock, update));
+    return sock;
+  }
+
+  async function handleConnectionUpdate(sock, update) {
     const { connection, lastDisconnect, qr } = update;
-    if (qr && qrResolver) {
-      qrResolver(qr);
-      qrResolver = null;
+    if (qr) {
+      settleQrWaiters(({ resolve }) => resolve(qr));
+    }
+    if (connection === "open") {
+      settleQrWaiters(({ reject }) => reject(new QrUnavailableError("Session connected before a QR was generated", 409)));
+      // Reset backoff on successful connection
+      reconnectionAttempts.delete(id);
+      // indexed once linked, so sessions whose QR was never scanned are not restored on startup
+      registerSession(id).then(() => updateSessionMetadata(id, { lastConnectedAt: new Date().toISOString() })).catch((err) => {
+        logger.warn({ id, error: err }, "Failed to update session metadata");
+      });
     }
     if (connection === "close") {
       const reason = lastDisconnect?.error?.output?.statusCode;
+      // the new socket of a restart sends the next QR, any other close leaves the waiters without one
+      if (reason !== DisconnectReason.restartRequired) {
+        settleQrWaiters(({ reject }) => reject(new QrUnavailableError("Session closed before a QR was generated", 503)));
+      }
+      // sockets replaced or stopped on purpose are not reconnected
+      if (sessions.get(id)?.sock !== sock) return;
       logger.warn({ id, reason }, "Socket closed");
       if (reason === DisconnectReason.restartRequired) {
         logger.info({ id }, "Restart required by WA, reconnecting...");
+        recordReconnection(reason);
         // After scanning the QR, WhatsApp will forcibly disconnect you, forcing a reconnect such that we can present the authentication credentials. This is not an error.
         // We must handle this creating a new socket, existing socket has been closed.
-        
-        // Clean up old socket before creating new one
-        const oldSession = sessions.get(id);
-        if (oldSession && oldSession.sock && oldSession.sock !== sock) {
-          try {
-            oldSession.sock.end();
-          } catch (cleanupErr) {
-            logger.warn({ id, error: cleanupErr }, "Error cleaning up old socket");
-          }
-        }
-        
-        const newSock = await makeConfiggedWASocket(id, state, store, saveCreds);
-        sessions.set(id, {sock: newSock, store, getNewQr});
+
+        const newSock = await connect();
+        sessions.set(id, {sock: newSock, store, getNewQr, getPairingCode});
         
         // Reset backoff on successful connection
         reconnectionAttempts.delete(id);
       } else if (reason === DisconnectReason.loggedOut) {
-        await deleteSession(id);
+        await deleteSession(id, 'logged_out');
+      } else if (reason === DisconnectReason.timedOut && !state.creds.registered) {
+        // WhatsApp stops sending QRs when none is scanned, the session is removed instead of waiting forever
+        logger.info({ id }, "Session not linked before the QR expired, removing it");
+        await deleteSession(id, 'failed');
       } else if (
         reason === DisconnectReason.timedOut ||
         reason === DisconnectReason.connectionClosed ||
@@ -172,16 +296,6 @@ async function createSession(id) {
         if (shouldAttemptReconnection(id)) {
           logger.warn({ id, reason }, "Connection lost, attempting to reconnect");
           
-          // Clean up old socket before creating new one
-          const oldSession = sessions.get(id);
-          if (oldSession && oldSession.sock && oldSession.sock !== sock) {
-            try {
-              oldSession.sock.end();
-            } catch (cleanupErr) {
-              logger.warn({ id, error: cleanupErr }, "Error cleaning up old socket");
-            }
-          }
-          
           // Update reconnection tracking
           const reconnectInfo = reconnectionAttempts.get(id) || { attempts: 0, lastAttempt: 0, backoffMs: 0 };
           reconnectInfo.attempts++;
@@ -190,17 +304,22 @@ async function createSession(id) {
           reconnectionAttempts.set(id, reconnectInfo);
           
           logger.info({ id, attempts: reconnectInfo.attempts, backoffMs: reconnectInfo.backoffMs }, "Scheduling reconnection with backoff");
+          recordReconnection(reason);
+          setSessionStatus(id, 'reconnecting', {
+            reconnectAttempts: reconnectInfo.attempts,
+            nextRetryAt: new Date(Date.now() + reconnectInfo.backoffMs).toISOString()
+          });
           
           // Schedule reconnection with backoff
           setTimeout(async () => {
+            if (!sessions.has(id)) return; // stopped while waiting
             try {
-              const newSock = await makeConfiggedWASocket(id, state, store, saveCreds);
-              sessions.set(id, {sock: newSock, store, getNewQr});
-              logger.info({ id }, "Reconnection successful");
-              // Reset backoff on successful connection
-              reconnectionAttempts.delete(id);
+              const newSock = await connect();
+              sessions.set(id, {sock: newSock, store, getNewQr, getPairingCode});
+              logger.info({ id }, "Reconnection started");
             } catch (reconnectErr) {
               logger.error({ id, error: reconnectErr }, "Reconnection failed");
+              setSessionStatus(id, 'failed', { nextRetryAt: null });
             }
           }, reconnectInfo.backoffMs);
         } else {
@@ -208,23 +327,61 @@ async function createSession(id) {
         }
       } else {
         logger.warn({ id, reason }, "Socket closed with unknown reason");
-        await deleteSession(id);
+        await deleteSession(id, 'failed');
       }
     }
-  });
+  }
 
   // Utility function that waits for a fresh QR string
   function getNewQr() {
-    return new Promise((resolve) => {
-      qrResolver = resolve;
+    return new Promise((resolve, reject) => {
+      const waiter = { resolve, reject };
+      waiter.timer = setTimeout(() => {
+        qrWaiters.delete(waiter);
+        reject(new QrUnavailableError("Timed out waiting for a QR", 504));
+      }, QR_WAIT_TIMEOUT_MS);
+      qrWaiters.add(waiter);
     });
   }
 
-  const session = { sock, store, getNewQr };
+  const sock = await connect();
+  /**
+   * Requests a pairing code to link the session by phone number instead of scanning the QR.
+   * The socket must be waiting for the QR, so it waits for one if needed.
+   * @param {string} phoneNumber - Digits only, with country code
+   * @returns {Promise<string>} 8 character code to enter on the phone
+   */
+  async function getPairingCode(phoneNumber) {
+    if (getSessionStatus(id)?.status !== 'qr_pending') await getNewQr();
+    const code = await sessions.get(id).sock.requestPairingCode(phoneNumber);
+    setSessionStatus(id, 'pairing_code_pending');
+    return code;
+  }
+
+  const session = { sock, store, getNewQr, getPairingCode };
   sessions.set(id, session);
+
+  resumeWebhookDeliveries(id).catch((err) => {
+    logger.error({ id, error: err }, "Failed to resume webhook deliveries");
+  });
+  // the session object is replaced on reconnection, the queue always reads the current one
+  startQueue(id, () => sessions.get(id));
+  startScheduler(id, () => sessions.get(id));
+
   return session;
 }
 
+/**
+ * Whether a socket is linked to a WhatsApp account.
+ * sock.user is set as soon as a pairing code is requested, so pairing code sessions must also be registered.
+ * @param {object} sock - Baileys socket
+ * @returns {boolean}
+ */
+function isLoggedIn(sock) {
+  const creds = sock?.authState?.creds;
+  return !!sock?.user && (!creds?.pairingCode || !!creds.registered);
+}
+
 /**
  * Get all active sessions
  * @returns {Array} Array of session IDs
@@ -236,10 +393,15 @@ function getActiveSessions() {
 /**
  * Delete a session
  * @param {string} sessionId - Session identifier
+ * @param {string} [finalStatus] - Status to keep reporting, e.g. 'logged_out'. Forgotten if missing.
  */
-async function deleteSession(sessionId) {
-  // Properly close socket before deletion
+async function deleteSession(sessionId, finalStatus) {
   const session = sessions.get(sessionId);
+  // removed before closing the socket, so its close event does not trigger a reconnection
+  sessions.delete(sessionId);
+  reconnectionAttempts.delete(sessionId); // Clean up tracking
+  stopWebhookDeliveries(sessionId);
+  // Properly close socket before deletion
   if (session && session.sock) {
     try {
       session.sock.end();
@@ -247,10 +409,60 @@ async function deleteSession(sessionId) {
       logger.warn({ sessionId, error: err }, "Error closing socket during session deletion");
     }
   }
-  
+
+  if (finalStatus) {
+    setSessionStatus(sessionId, finalStatus, { reconnectAttempts: 0, nextRetryAt: null });
+  } else {
+    clearSessionStatus(sessionId);
+  }
+  clearPresence(sessionId);
+  sessionEvents.emit('removed', { sessionId, reason: 'deleted' });
+  await clearAuthState(sessionId);
+  await unregisterSession(sessionId);
+  if (session && session.store) {
+    await session.store.clear();
+  }
+  await clearQueue(sessionId);
+  await clearScheduled(sessionId);
+  await clearChatMetadata(sessionId);
+  await clearWebhooks(sessionId);
+  await clearMediaCache(sessionId).catch((err) => {
+    logger.warn({ sessionId, error: err }, "Error clearing media cache during session deletion");
+  });
+  await releaseSession(sessionId);
+}
+
+/**
+ * Disconnects a session from this instance keeping its data, so another instance can connect it
+ * @param {string} sessionId - Session identifier
+ */
+async function stopSession(sessionId) {
+  const session = sessions.get(sessionId);
   sessions.delete(sessionId);
-  reconnectionAttempts.delete(sessionId); // Clean up tracking
-  await redisClient.del(sessionId); // Fixed: Await Redis deletion
+  reconnectionAttempts.delete(sessionId);
+  stopQueue(sessionId);
+  stopScheduler(sessionId);
+  stopWebhookDeliveries(sessionId);
+  clearSessionStatus(sessionId);
+  clearPresence(sessionId);
+  sessionEvents.emit('removed', { sessionId, reason: 'stopped' });
+  if (!session) return;
+  try {
+    session.sock.end();
+  } catch (err) {
+    logger.warn({ sessionId, error: err }, "Error closing socket while stopping session");
+  }
+  await session.store.flush();
+}
+
+/**
+ * Stops every local session and releases their leases, for a graceful shutdown
+ */
+async function stopAllSessions() {
+  for (const sessionId of getActiveSessions()) {
+    await stopSession(sessionId);
+    await releaseSession(sessionId);
+  }
 }
 
 /**
@@ -259,12 +471,30 @@ async function deleteSession(sessionId) {
  */
 const normalizeJid = (jid) => typeof jid === 'string' ? jid.replace(/:[^@]+@/, '@') : jid;
 
+/**
+ * HTTP status for an error thrown by Baileys or the session manager
+ * Boom errors with a 4xx status (e.g. 403 not an admin, 404 not found) are passed to the client,
+ * a session owned by another instance is a 409, anything else is a 500.
+ * @param {Error} err
+ * @returns {number}
+ */
+function errorStatus(err) {
+  if (err instanceof SessionOwnedError) return 409;
+  if (err instanceof QrUnavailableError) return err.statusCode;
+  if (err instanceof MediaUrlError) return 400;
+  const status = err?.output?.statusCode;
+  return status >= 400 && status < 500 ? status : 500;
+}
+
 
 export {
   createSession,
   getActiveSessions,
+  isLoggedIn,
   deleteSession,
+  stopAllSessions,
   sessions,
   normalizeJid,
+  errorStatus,
   restoreSessionsFromRedis
 };
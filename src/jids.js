@@ -0,0 +1,86 @@
+// Resolution of the chat ids accepted by the API: phone numbers, group ids and JIDs
+
+// Country code of phone numbers given in local format, e.g. "54" turns "011 1234-5678" into 541112345678
+const DEFAULT_COUNTRY_CODE = (process.env.DEFAULT_COUNTRY_CODE || '').replace(/\D/g, '');
+// E.164 numbers have up to 15 digits
+const MIN_PHONE_DIGITS = 8;
+const MAX_PHONE_DIGITS = 15;
+
+const SERVERS = ['s.whatsapp.net', 'g.us', 'lid', 'broadcast', 'newsletter'];
+
+/**
+ * Converts a phone number to a user JID.
+ * Numbers starting with + or 00 are international, numbers starting with 0 (trunk prefix) are local
+ * when DEFAULT_COUNTRY_CODE is set, the rest already include the country code.
+ * e.g. "+54 9 11 1234-5678" => "5491112345678@s.whatsapp.net"
+ * @param {string} value
+ * @returns {string|null} JID, null if it is not a phone number
+ */
+function phoneToJid(value) {
+  const text = String(value).trim();
+  if (!/^\+?[\d\s().-]+$/.test(text)) return null;
+  let digits = text.replace(/\D/g, '');
+  if (!text.startsWith('+')) {
+    if (digits.startsWith('00')) {
+      digits = digits.slice(2);
+    } else if (DEFAULT_COUNTRY_CODE && digits.startsWith('0')) {
+      digits = DEFAULT_COUNTRY_CODE + digits.replace(/^0+/, '');
+    }
+  }
+  // country codes do not start with 0, it is a local number without DEFAULT_COUNTRY_CODE
+  if (digits.startsWith('0') || digits.length < MIN_PHONE_DIGITS || digits.length > MAX_PHONE_DIGITS) return null;
+  return `${digits}@s.whatsapp.net`;
+}
+
+/**
+ * Resolves a chat id given by a client to its canonical JID: phone numbers (see phoneToJid),
+ * group ids ("120363025246125486" or "5491112345678-1600000000") and JIDs, without device
+ * and with @c.us turned into @s.whatsapp.net.
+ * @param {string|number} value
+ * @returns {string|null} JID, null if it can not be parsed
+ */
+function resolveJid(value) {
+  if (value === undefined || value === null) return null;
+  const text = String(value).trim();
+
+  const at = text.indexOf('@');
+  if (at >= 0) {
+    const user = text.slice(0, at).split(':')[0];
+    const domain = text.slice(at + 1).toLowerCase();
+    const server = domain === 'c.us' ? 's.whatsapp.net' : domain;
+    if (!user || !SERVERS.includes(server)) return null;
+    if ((server === 's.whatsapp.net' || server === 'lid') && !/^\d+$/.test(user)) return null;
+    return `${user}@${server}`;
+  }
+
+  // group ids are longer than any phone number
+  if (/^\d+-\d+$/.test(text) || /^\d{16,}$/.test(text)) return `${text}@g.us`;
+  return phoneToJid(text);
+}
+
+/**
+ * Resolves a group id given by a client to its JID: the group number ("120363025246125486" or
+ * "5491112345678-1600000000") or its @g.us JID
+ * @param {string} value
+ * @returns {string|null} JID, null if it is not a group
+ */
+function resolveGroupJid(value) {
+  const text = String(value).trim();
+  const jid = resolveJid(text.includes('@') ? text : `${text}@g.us`);
+  return jid && /^\d+(-\d+)?@g\.us$/.test(jid) ? jid : null;
+}
+
+/**
+ * Error message for a chat id that can not be resolved
+ * @param {any} value
+ * @returns {string}
+ */
+const invalidJidMessage = (value) =>
+  `Invalid chat id "${value}", expected a phone number with country code, a group id or a JID`;
+
+export {
+  phoneToJid,
+  resolveJid,
+  resolveGroupJid,
+  invalidJidMessage
+};
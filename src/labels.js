@@ -0,0 +1,87 @@
+// Helpers for the WhatsApp Business label endpoints
+
+// WhatsApp has 20 label colors, see LabelColor in Baileys
+const LABEL_COLORS = 20;
+// and accepts up to 20 labels per account
+const MAX_LABELS = 20;
+
+/**
+ * Converts a Baileys label to the API response
+ * @param {object} label - Label from the store
+ * @returns {object}
+ */
+function formatLabel({ id, name, color, predefinedId }) {
+  return { id, name, color, predefinedId: predefinedId ?? null };
+}
+
+/**
+ * Labels of the account, without the deleted ones
+ * @param {object} store - Session store
+ * @returns {Array} Store labels
+ */
+const listLabels = (store) => store.getLabels().findAll().filter((label) => !label.deleted);
+
+/**
+ * Finds a label by id
+ * @param {object} store - Session store
+ * @param {string} labelId
+ * @returns {object|undefined} Store label
+ */
+function findLabel(store, labelId) {
+  const label = store.getLabels().findById(String(labelId));
+  return label && !label.deleted ? label : undefined;
+}
+
+/**
+ * Finds a label by id or name, ignoring case
+ * @param {object} store - Session store
+ * @param {string} value
+ * @returns {object|undefined} Store label
+ */
+function findLabelByIdOrName(store, value) {
+  return findLabel(store, value) || listLabels(store).find((label) => label.name.toLowerCase() === String(value).toLowerCase());
+}
+
+/**
+ * Ids of the labels of a chat
+ * @param {object} store - Session store
+ * @param {string} chatId - Chat JID
+ * @returns {string[]}
+ */
+const chatLabelIds = (store, chatId) => store.getChatLabels(chatId).map(({ labelId }) => labelId);
+
+/**
+ * Id for a new label: WhatsApp uses consecutive numbers
+ * @param {object} store - Session store
+ * @returns {string}
+ */
+function nextLabelId(store) {
+  const ids = store.getLabels().findAll().map(({ id }) => Number(id)).filter(Number.isFinite);
+  return String(Math.max(0, ...ids) + 1);
+}
+
+/**
+ * Validates a label creation or update
+ * @param {object} body - Request body: { name, color }
+ * @param {boolean} partial - Whether fields can be missing (update)
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateLabel({ name, color }, partial) {
+  if (partial && name === undefined && color === undefined) return "Nothing to update, expected name or color";
+  if ((!partial || name !== undefined) && (typeof name !== 'string' || !name.trim())) return "name must be a non empty string";
+  if ((!partial || color !== undefined) && !(Number.isInteger(color) && color >= 0 && color < LABEL_COLORS)) {
+    return `color must be a number from 0 to ${LABEL_COLORS - 1}`;
+  }
+  return null;
+}
+
+export {
+  MAX_LABELS,
+  formatLabel,
+  listLabels,
+  findLabel,
+  findLabelByIdOrName,
+  chatLabelIds,
+  nextLabelId,
+  validateLabel
+};
@@ -0,0 +1,134 @@
+import fs from 'fs/promises'
+import path from 'path'
+import {
+  downloadMediaMessage,
+  extractMessageContent,
+  getContentType
+} from "@whiskeysockets/baileys";
+import logger from './logger.js'
+
+// Decrypted media is cached on disk only when MEDIA_CACHE_DIR is set
+const MEDIA_CACHE_DIR = process.env.MEDIA_CACHE_DIR;
+const MEDIA_CACHE_MAX_BYTES = Number(process.env.MEDIA_CACHE_MAX_BYTES) || 500 * 1024 * 1024; // 500 MB
+
+const MEDIA_CONTENT_TYPES = ['imageMessage', 'videoMessage', 'audioMessage', 'documentMessage', 'stickerMessage'];
+
+// Extensions for files that arrive without a name
+const EXTENSIONS = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/webp': 'webp',
+  'image/gif': 'gif',
+  'video/mp4': 'mp4',
+  'video/3gpp': '3gp',
+  'audio/ogg': 'ogg',
+  'audio/mpeg': 'mp3',
+  'audio/mp4': 'm4a',
+  'application/pdf': 'pdf'
+};
+
+/**
+ * Describes the media attached to a message
+ * @param {object} msg - WAMessage
+ * @returns {{ mediaType: string, mimetype: string, fileName: string, fileLength: number }|null} null if the message has no media
+ */
+function getMediaInfo(msg) {
+  const content = extractMessageContent(msg.message);
+  if (!content) return null;
+  const contentType = getContentType(content);
+  if (!MEDIA_CONTENT_TYPES.includes(contentType)) return null;
+
+  const media = content[contentType];
+  const mimetype = media.mimetype || 'application/octet-stream';
+  const extension = EXTENSIONS[mimetype.split(';')[0].trim()] || 'bin';
+  return {
+    mediaType: contentType.replace('Message', ''),
+    mimetype,
+    fileName: media.fileName || `${msg.key.id}.${extension}`,
+    fileLength: media.fileLength ? Number(media.fileLength) : null
+  };
+}
+
+/**
+ * Path of a cached media file. Ids are sanitized as they come from the URL.
+ */
+function cachePath(sessionId, messageId) {
+  const safe = (value) => String(value).replace(/[^a-zA-Z0-9_.-]/g, '_');
+  return path.join(MEDIA_CACHE_DIR, safe(sessionId), safe(messageId));
+}
+
+/**
+ * Deletes the least recently used files until the cache fits in MEDIA_CACHE_MAX_BYTES
+ */
+async function enforceCacheLimit() {
+  const entries = await fs.readdir(MEDIA_CACHE_DIR, { recursive: true, withFileTypes: true });
+  const files = [];
+  for (const entry of entries) {
+    if (!entry.isFile()) continue;
+    const filePath = path.join(entry.parentPath ?? entry.path, entry.name);
+    try {
+      const { size, mtimeMs } = await fs.stat(filePath);
+      files.push({ filePath, size, mtimeMs });
+    } catch {
+      // removed meanwhile
+    }
+  }
+
+  let total = files.reduce((sum, { size }) => sum + size, 0);
+  files.sort((a, b) => a.mtimeMs - b.mtimeMs);
+  for (const { filePath, size } of files) {
+    if (total <= MEDIA_CACHE_MAX_BYTES) break;
+    await fs.rm(filePath, { force: true });
+    total -= size;
+  }
+}
+
+/**
+ * Downloads and decrypts the media of a message
+ * Expired media is re-uploaded by the sender's phone through sock.updateMediaMessage.
+ * @param {string} sessionId - Session identifier
+ * @param {object} sock - Baileys socket
+ * @param {object} msg - WAMessage with media
+ * @returns {Promise<Buffer|import('stream').Readable>} Buffer when the disk cache is enabled, a stream otherwise
+ */
+async function downloadMedia(sessionId, sock, msg) {
+  const ctx = { logger, reuploadRequest: sock.updateMediaMessage };
+
+  if (!MEDIA_CACHE_DIR) {
+    return downloadMediaMessage(msg, 'stream', {}, ctx);
+  }
+
+  const filePath = cachePath(sessionId, msg.key.id);
+  try {
+    const cached = await fs.readFile(filePath);
+    // touch, so the least recently used files are evicted first
+    const now = new Date();
+    await fs.utimes(filePath, now, now);
+    return cached;
+  } catch (err) {
+    if (err.code !== 'ENOENT') logger.warn({ sessionId, error: err }, "Failed to read media cache");
+  }
+
+  const buffer = await downloadMediaMessage(msg, 'buffer', {}, ctx);
+  if (buffer.length <= MEDIA_CACHE_MAX_BYTES) {
+    try {
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.writeFile(filePath, buffer);
+      enforceCacheLimit().catch((err) => logger.warn({ error: err }, "Failed to trim media cache"));
+    } catch (err) {
+      logger.warn({ sessionId, error: err }, "Failed to write media cache");
+    }
+  }
+  return buffer;
+}
+
+/**
+ * Removes the cached media of a session
+ * @param {string} sessionId - Session identifier
+ */
+async function clearMediaCache(sessionId) {
+  if (!MEDIA_CACHE_DIR) return;
+  await fs.rm(path.dirname(cachePath(sessionId, 'x')), { recursive: true, force: true });
+}
+
+export { getMediaInfo, downloadMedia, clearMediaCache };
@@ -0,0 +1,102 @@
+import http from 'http'
+import https from 'https'
+import bytes from 'bytes'
+import { PrivateAddressError, parseHostList, hostnameOf, isPrivateAddressUrl, publicLookup } from './public_urls.js'
+
+// Media sent by url is downloaded here instead of by Baileys, so every address the server
+// connects to (including redirects) can be checked: API clients must not reach the internal network.
+
+const MEDIA_URL_MAX_BYTES = bytes.parse(process.env.BODY_LIMIT || '20mb');
+const MEDIA_URL_TIMEOUT_MS = 30000;
+const MAX_REDIRECTS = 5;
+
+class MediaUrlError extends Error {}
+
+// Hosts that may be downloaded from even if they resolve to a private address, e.g. an internal file server
+const MEDIA_URL_ALLOWED_HOSTS = parseHostList(process.env.MEDIA_URL_ALLOWED_HOSTS);
+
+/**
+ * Validates a media url: http(s) only, and not a private address literal
+ * @param {string} value
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateMediaUrl(value) {
+  let url;
+  try {
+    url = new URL(value);
+  } catch {
+    return "Media url is invalid";
+  }
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') return "Media url must use http or https";
+  if (isPrivateAddressUrl(url, MEDIA_URL_ALLOWED_HOSTS)) return "Media url must point to a public address";
+  return null;
+}
+
+/**
+ * Downloads a media url, following redirects and checking the address of every host
+ * @param {string} value - http(s) url
+ * @param {number} [redirects] - Redirects already followed
+ * @returns {Promise<Buffer>}
+ */
+function downloadMediaUrl(value, redirects = 0) {
+  const error = validateMediaUrl(value);
+  if (error) return Promise.reject(new MediaUrlError(error));
+
+  const url = new URL(value);
+  const allowed = MEDIA_URL_ALLOWED_HOSTS.includes(hostnameOf(url));
+  const client = url.protocol === 'https:' ? https : http;
+
+  return new Promise((resolve, reject) => {
+    const req = client.get(url, { timeout: MEDIA_URL_TIMEOUT_MS, lookup: allowed ? undefined : publicLookup }, (res) => {
+      const { statusCode, headers } = res;
+      if (statusCode >= 300 && statusCode < 400 && headers.location) {
+        res.resume();
+        if (redirects >= MAX_REDIRECTS) return reject(new MediaUrlError("Media url redirects too many times"));
+        return resolve(downloadMediaUrl(new URL(headers.location, url).href, redirects + 1));
+      }
+      if (statusCode < 200 || statusCode >= 300) {
+        res.resume();
+        return reject(new MediaUrlError(`Media url answered ${statusCode}`));
+      }
+      if (Number(headers['content-length']) > MEDIA_URL_MAX_BYTES) {
+        res.destroy();
+        return reject(new MediaUrlError(`Media url content is larger than ${bytes.format(MEDIA_URL_MAX_BYTES)}`));
+      }
+
+      const chunks = [];
+      let size = 0;
+      res.on('data', (chunk) => {
+        size += chunk.length;
+        if (size > MEDIA_URL_MAX_BYTES) {
+          res.destroy();
+          return reject(new MediaUrlError(`Media url content is larger than ${bytes.format(MEDIA_URL_MAX_BYTES)}`));
+        }
+        chunks.push(chunk);
+      });
+      res.on('end', () => resolve(Buffer.concat(chunks)));
+      res.on('error', reject);
+    });
+    req.on('timeout', () => req.destroy(new MediaUrlError("Media url download timed out")));
+    req.on('error', (err) => {
+      if (err instanceof PrivateAddressError) return reject(new MediaUrlError(`Media url rejected: ${err.message}`));
+      reject(err instanceof MediaUrlError ? err : new MediaUrlError(`Failed to download media url: ${err.message}`));
+    });
+  });
+}
+
+/**
+ * Replaces the media url of a message content with the downloaded file, before passing it to sock.sendMessage
+ * @param {object} content - Baileys AnyMessageContent built by buildMessageContent
+ * @returns {Promise<object>}
+ */
+async function withDownloadedMedia(content) {
+  const type = Object.keys(content).find((key) => typeof content[key]?.url === 'string');
+  if (!type) return content;
+  return { ...content, [type]: await downloadMediaUrl(content[type].url) };
+}
+
+export {
+  MediaUrlError,
+  validateMediaUrl,
+  withDownloadedMedia
+};
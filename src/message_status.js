@@ -0,0 +1,158 @@
+import { EventEmitter } from 'events'
+import { toNumber } from "@whiskeysockets/baileys";
+import { redisClient } from './use_redis_auth_state.js'
+import { statusName } from './messages.js'
+import logger from './logger.js'
+import { redisKey } from './redis_keys.js'
+
+const MESSAGE_STATUS_TTL_SECONDS = Number(process.env.MESSAGE_STATUS_TTL_SECONDS) || 30 * 24 * 3600; // 30 days
+// Acks can arrive before trackSentMessage stores the message (fast server acks, queued messages):
+// they are kept this long so they are merged when it does, and expire for messages sent elsewhere
+const EARLY_ACK_TTL_SECONDS = 300;
+
+// Timestamp field of each proto.WebMessageInfo.Status
+const STATUS_FIELDS = { 2: 'serverAckAt', 3: 'deliveredAt', 4: 'readAt', 5: 'playedAt' };
+
+// Redis keys
+// hash: info -> JSON, <state>At -> ISO date, participant:<jid>:<state>At -> ISO date
+const statusKey = (sessionId, messageId) => redisKey('message-status', sessionId, messageId);
+
+// Emits 'update' with { sessionId, messageId, chatId, status } when an own message gets an ack
+const statusEvents = new EventEmitter();
+
+const isoFromSeconds = (seconds) => new Date(toNumber(seconds) * 1000).toISOString();
+
+/**
+ * Starts tracking the acks of a message sent through the API
+ * @param {string} sessionId - Session identifier
+ * @param {object} message
+ * @param {string} message.id - Message id
+ * @param {string} message.chatId - Chat JID
+ * @param {number} [message.status] - Status reported by sendMessage
+ */
+async function trackSentMessage(sessionId, { id, chatId, status }) {
+  const key = statusKey(sessionId, id);
+  const now = new Date().toISOString();
+  const multi = redisClient.multi()
+    .hSet(key, 'info', JSON.stringify({ id, chatId, isGroup: chatId.endsWith('@g.us'), sentAt: now }));
+  for (let s = 2; s <= (status || 0); s++) multi.hSetNX(key, STATUS_FIELDS[s], now);
+  const replies = await multi.expire(key, MESSAGE_STATUS_TTL_SECONDS)
+    .hmGet(key, Object.values(STATUS_FIELDS))
+    .exec();
+  // acks received before the message was tracked were not reported yet
+  const reached = Object.keys(STATUS_FIELDS).filter((s, i) => replies.at(-1)[i]).map(Number);
+  const early = Math.max(0, ...reached);
+  if (early > (status || 0)) statusEvents.emit('update', { sessionId, messageId: id, chatId, status: statusName(early) });
+}
+
+// Sets the fields given as name/value pairs (ARGV but the last) that are not set yet. Returns 1 for messages
+// tracked by trackSentMessage, otherwise the fields are kept for ARGV[#ARGV] seconds in case it is about to track it
+const RECORD_ACK_SCRIPT = `for i = 1, #ARGV - 1, 2 do redis.call('HSETNX', KEYS[1], ARGV[i], ARGV[i + 1]) end
+if redis.call('HEXISTS', KEYS[1], 'info') == 1 then return 1 end
+redis.call('EXPIRE', KEYS[1], ARGV[#ARGV])
+return 0`;
+
+/**
+ * Sets the timestamps of a message that are not set yet
+ * @param {string} sessionId - Session identifier
+ * @param {string} messageId - Message id
+ * @param {object} fields - field -> ISO date
+ * @returns {Promise<boolean>} false if the message is not tracked (yet), e.g. not sent through the API
+ */
+async function recordAck(sessionId, messageId, fields) {
+  const tracked = await redisClient.eval(RECORD_ACK_SCRIPT, {
+    keys: [statusKey(sessionId, messageId)],
+    arguments: [...Object.entries(fields).flat(), String(EARLY_ACK_TTL_SECONDS)]
+  });
+  return tracked === 1;
+}
+
+/**
+ * Records a status update of an own message. Reaching a state implies the previous ones
+ * (a read message was delivered), and only the first time of each state is kept.
+ */
+async function recordStatus(sessionId, key, status) {
+  const now = new Date().toISOString();
+  const fields = {};
+  for (let s = 2; s <= Math.min(status, 5); s++) fields[STATUS_FIELDS[s]] = now;
+  if (!await recordAck(sessionId, key.id, fields)) return;
+  statusEvents.emit('update', { sessionId, messageId: key.id, chatId: key.remoteJid, status: statusName(status) });
+}
+
+/**
+ * Records the receipt of one participant of a group message
+ */
+async function recordReceipt(sessionId, key, receipt) {
+  const prefix = `participant:${receipt.userJid}:`;
+  const fields = {};
+  if (receipt.receiptTimestamp) fields[`${prefix}deliveredAt`] = isoFromSeconds(receipt.receiptTimestamp);
+  if (receipt.readTimestamp) fields[`${prefix}readAt`] = isoFromSeconds(receipt.readTimestamp);
+  if (receipt.playedTimestamp) fields[`${prefix}playedAt`] = isoFromSeconds(receipt.playedTimestamp);
+  if (Object.keys(fields).length) await recordAck(sessionId, key.id, fields);
+}
+
+/**
+ * Records the acks of own messages received by a socket
+ * @param {string} sessionId - Session identifier
+ * @param {object} sock - Baileys socket
+ */
+function bindMessageStatus(sessionId, sock) {
+  sock.ev.on('messages.update', (updates) => {
+    for (const { key, update } of updates) {
+      if (!key.fromMe || !(update.status >= 2)) continue;
+      recordStatus(sessionId, key, update.status).catch((err) => {
+        logger.error({ sessionId, messageId: key.id, error: err }, "Failed to record message status");
+      });
+    }
+  });
+  sock.ev.on('message-receipt.update', (updates) => {
+    for (const { key, receipt } of updates) {
+      if (!key.fromMe) continue;
+      recordReceipt(sessionId, key, receipt).catch((err) => {
+        logger.error({ sessionId, messageId: key.id, error: err }, "Failed to record message receipt");
+      });
+    }
+  });
+}
+
+/**
+ * Gets the ack timestamps of a message sent through the API
+ * @param {string} sessionId - Session identifier
+ * @param {string} messageId - Message id
+ * @returns {Promise<object|null>} null if the message is not tracked
+ */
+async function getMessageStatus(sessionId, messageId) {
+  const stored = await redisClient.hGetAll(statusKey(sessionId, messageId));
+  if (!stored.info) return null;
+
+  const { info, ...fields } = stored;
+  const { id, chatId, isGroup, sentAt } = JSON.parse(info);
+  const participants = {};
+  for (const [field, value] of Object.entries(fields)) {
+    const match = /^participant:(.+):(\w+At)$/.exec(field);
+    if (!match) continue;
+    participants[match[1]] ??= { jid: match[1], deliveredAt: null, readAt: null, playedAt: null };
+    participants[match[1]][match[2]] = value;
+  }
+
+  const reached = Object.entries(STATUS_FIELDS).filter(([, field]) => fields[field]).map(([status]) => Number(status));
+  const result = {
+    id,
+    chatId,
+    status: reached.length ? statusName(Math.max(...reached)) : 'pending',
+    sentAt,
+    serverAckAt: fields.serverAckAt || null,
+    deliveredAt: fields.deliveredAt || null,
+    readAt: fields.readAt || null,
+    playedAt: fields.playedAt || null
+  };
+  if (isGroup) result.participants = Object.values(participants);
+  return result;
+}
+
+export {
+  statusEvents,
+  trackSentMessage,
+  bindMessageStatus,
+  getMessageStatus
+};
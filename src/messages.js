@@ -0,0 +1,332 @@
+// Builds Baileys message contents from the payloads accepted by the API
+// and reads the content of received messages
+import {
+  extractMessageContent,
+  getContentType,
+  jidNormalizedUser,
+  toNumber
+} from "@whiskeysockets/baileys";
+import { getMediaInfo } from './media.js'
+import { validateMediaUrl } from './media_urls.js'
+
+const MEDIA_TYPES = ['image', 'video', 'audio', 'document', 'sticker'];
+const MESSAGE_TYPES = ['text', ...MEDIA_TYPES, 'location', 'contact'];
+
+// Used when the client does not send a mimetype
+const DEFAULT_MIMETYPES = {
+  image: 'image/jpeg',
+  video: 'video/mp4',
+  audio: 'audio/mp4',
+  document: 'application/octet-stream',
+  sticker: 'image/webp'
+};
+
+/**
+ * Guesses the message type of an uploaded file from its mimetype
+ * @param {string} mimetype
+ * @returns {string} One of MEDIA_TYPES
+ */
+function mediaTypeFromMimetype(mimetype = '') {
+  if (mimetype === 'image/webp') return 'sticker';
+  if (mimetype.startsWith('image/')) return 'image';
+  if (mimetype.startsWith('video/')) return 'video';
+  if (mimetype.startsWith('audio/')) return 'audio';
+  return 'document';
+}
+
+/**
+ * Parses a base64 string or data URL
+ * @param {string} value - "data:<mimetype>;base64,<data>" or plain base64
+ * @returns {{ buffer: Buffer, mimetype?: string }}
+ */
+function decodeBase64(value) {
+  const match = /^data:([^;,]+);base64,(.*)$/s.exec(value);
+  if (match) return { buffer: Buffer.from(match[2], 'base64'), mimetype: match[1] };
+  return { buffer: Buffer.from(value, 'base64') };
+}
+
+/**
+ * Resolves the type of a send payload, defaulting to text or to the uploaded file type
+ * @param {object} body - Request body
+ * @param {object} [file] - Uploaded file ({ buffer, mimetype, filename })
+ * @returns {string}
+ */
+function payloadType(body, file) {
+  if (body.type) return body.type;
+  if (file) return mediaTypeFromMimetype(file.mimetype);
+  return 'text';
+}
+
+/**
+ * Validates a send payload
+ * @param {object} body - Request body
+ * @param {object} [file] - Uploaded file
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateMessagePayload(body, file) {
+  const type = payloadType(body, file);
+  if (!MESSAGE_TYPES.includes(type)) {
+    return `Unknown message type "${type}", expected one of: ${MESSAGE_TYPES.join(', ')}`;
+  }
+
+  if (type === 'text') {
+    return body.text ? null : "Message text is required";
+  }
+
+  if (MEDIA_TYPES.includes(type)) {
+    const sources = [file, body.url, body.base64].filter(Boolean);
+    if (sources.length !== 1) return `${type} messages require exactly one of: file upload, url, base64`;
+    if (body.url) return validateMediaUrl(body.url);
+    return null;
+  }
+
+  if (type === 'location') {
+    const latitude = Number(body.latitude);
+    const longitude = Number(body.longitude);
+    if (body.latitude === undefined || Number.isNaN(latitude) || latitude < -90 || latitude > 90) return "A valid latitude is required";
+    if (body.longitude === undefined || Number.isNaN(longitude) || longitude < -180 || longitude > 180) return "A valid longitude is required";
+    return null;
+  }
+
+  // contact
+  if (!body.vcard && !(body.fullName && body.phoneNumber)) {
+    return "A contact message requires a vcard or fullName and phoneNumber";
+  }
+  return null;
+}
+
+/**
+ * Builds a vCard for a contact message
+ * @param {object} contact
+ * @param {string} contact.fullName
+ * @param {string} contact.phoneNumber - Phone number, with or without "+"
+ * @param {string} [contact.organization]
+ * @returns {string}
+ */
+function buildVcard({ fullName, phoneNumber, organization }) {
+  const digits = String(phoneNumber).replace(/\D/g, '');
+  return [
+    'BEGIN:VCARD',
+    'VERSION:3.0',
+    `FN:${fullName}`,
+    organization ? `ORG:${organization};` : null,
+    `TEL;type=CELL;type=VOICE;waid=${digits}:+${digits}`,
+    'END:VCARD'
+  ].filter(Boolean).join('\n');
+}
+
+/**
+ * Builds the content argument of sock.sendMessage for a (validated) send payload
+ * @param {object} body - Request body
+ * @param {object} [file] - Uploaded file
+ * @returns {object} Baileys AnyMessageContent
+ */
+function buildMessageContent(body, file) {
+  const type = payloadType(body, file);
+
+  if (type === 'text') {
+    return { text: body.text };
+  }
+
+  if (MEDIA_TYPES.includes(type)) {
+    let media;
+    let mimetype = body.mimetype;
+    if (file) {
+      media = file.buffer;
+      mimetype = mimetype || file.mimetype;
+    } else if (body.base64) {
+      const decoded = decodeBase64(body.base64);
+      media = decoded.buffer;
+      mimetype = mimetype || decoded.mimetype;
+    } else {
+      media = { url: body.url };
+    }
+
+    const content = { [type]: media, mimetype: mimetype || DEFAULT_MIMETYPES[type] };
+    if (body.caption && type !== 'audio' && type !== 'sticker') content.caption = body.caption;
+    if (type === 'document') content.fileName = body.fileName || file?.filename || 'file';
+    if (type === 'audio') content.ptt = body.ptt === true || body.ptt === 'true';
+    if (type === 'video' && (body.gifPlayback === true || body.gifPlayback === 'true')) content.gifPlayback = true;
+    return content;
+  }
+
+  if (type === 'location') {
+    return {
+      location: {
+        degreesLatitude: Number(body.latitude),
+        degreesLongitude: Number(body.longitude),
+        name: body.name,
+        address: body.address
+      }
+    };
+  }
+
+  // contact
+  const vcard = body.vcard || buildVcard(body);
+  return {
+    contacts: {
+      displayName: body.fullName || body.displayName,
+      contacts: [{ vcard }]
+    }
+  };
+}
+
+/**
+ * Text of a message: its body, or the caption of media messages
+ * @param {object} msg - WAMessage
+ * @returns {string|null}
+ */
+function getMessageText(msg) {
+  const content = extractMessageContent(msg.message);
+  if (!content) return null;
+  return content.conversation
+    || content.extendedTextMessage?.text
+    || content.imageMessage?.caption
+    || content.videoMessage?.caption
+    || content.documentMessage?.caption
+    || null;
+}
+
+/**
+ * Parses a date query param, given as ISO date or unix seconds
+ * @param {string} [value]
+ * @returns {number|undefined} Unix seconds, NaN if invalid
+ */
+function parseTimestamp(value) {
+  if (value === undefined || value === '') return undefined;
+  if (/^\d+$/.test(value)) return Number(value);
+  return Math.floor(new Date(value).getTime() / 1000);
+}
+
+// lowercase and without accents, so "accion" matches "Acción"
+const foldText = (text) => text.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+
+/**
+ * Full-text search over the messages of a store
+ * @param {object} store - Session store
+ * @param {object} options
+ * @param {string} options.q - Text to search
+ * @param {string[]} [options.chatIds] - Only search these chats
+ * @param {number} [options.from] - Unix seconds, inclusive
+ * @param {number} [options.to] - Unix seconds, inclusive
+ * @param {number} options.limit - Max number of results
+ * @returns {Array} Matching messages, newest first
+ */
+function searchMessages(store, { q, chatIds, from, to, limit }) {
+  const terms = foldText(q).split(/\s+/).filter(Boolean);
+  const jids = chatIds?.length ? chatIds : Object.keys(store.messages);
+
+  const results = [];
+  for (const jid of jids) {
+    for (const msg of store.messages[jid]?.array || []) {
+      const timestamp = toNumber(msg.messageTimestamp);
+      if (from !== undefined && timestamp < from) continue;
+      if (to !== undefined && timestamp > to) continue;
+      const text = getMessageText(msg);
+      if (!text) continue;
+      const folded = foldText(text);
+      if (terms.every((term) => folded.includes(term))) results.push(msg);
+    }
+  }
+
+  return results
+    .sort((a, b) => toNumber(b.messageTimestamp) - toNumber(a.messageTimestamp))
+    .slice(0, limit);
+}
+
+// proto.WebMessageInfo.Status, by value
+const MESSAGE_STATUSES = ['error', 'pending', 'server_ack', 'delivered', 'read', 'played'];
+
+// Types of the simple format, by Baileys content type
+const CONTENT_TYPES = {
+  conversation: 'text',
+  extendedTextMessage: 'text',
+  imageMessage: 'image',
+  videoMessage: 'video',
+  audioMessage: 'audio',
+  documentMessage: 'document',
+  stickerMessage: 'sticker',
+  locationMessage: 'location',
+  liveLocationMessage: 'location',
+  contactMessage: 'contact',
+  contactsArrayMessage: 'contact',
+  reactionMessage: 'reaction',
+  pollCreationMessage: 'poll',
+  pollCreationMessageV3: 'poll',
+  protocolMessage: 'protocol'
+};
+
+/**
+ * Name of a message status, e.g. 3 => "delivered"
+ * @param {number} [status] - proto.WebMessageInfo.Status
+ * @returns {string|null}
+ */
+const statusName = (status) => MESSAGE_STATUSES[status] ?? null;
+
+/**
+ * Converts a unix timestamp (seconds, may be a Long) to an ISO date
+ * @returns {string|null}
+ */
+function isoTimestamp(seconds) {
+  const value = toNumber(seconds);
+  return value ? new Date(value * 1000).toISOString() : null;
+}
+
+/**
+ * Simple representation of a WAMessage, free of protobuf details
+ * @param {object} msg - WAMessage
+ * @param {string} [meId] - JID of the session user, used as `from` of our own messages
+ * @returns {object}
+ */
+function normalizeMessage(msg, meId) {
+  const content = extractMessageContent(msg.message);
+  const contentType = content ? getContentType(content) : undefined;
+  const inner = contentType ? content[contentType] : undefined;
+  const media = getMediaInfo(msg);
+
+  return {
+    id: msg.key.id,
+    chatId: msg.key.remoteJid,
+    from: msg.key.fromMe
+      ? (meId ? jidNormalizedUser(meId) : null)
+      : (msg.key.participant || msg.participant || msg.key.remoteJid),
+    fromMe: !!msg.key.fromMe,
+    pushName: msg.pushName || null,
+    timestamp: isoTimestamp(msg.messageTimestamp),
+    type: CONTENT_TYPES[contentType] || (contentType ? contentType.replace(/Message$/, '') : 'unknown'),
+    text: getMessageText(msg),
+    media: media ? { mimetype: media.mimetype, fileName: media.fileName, fileLength: media.fileLength } : null,
+    quotedMessageId: inner?.contextInfo?.stanzaId || null,
+    reactions: (msg.reactions || [])
+      .filter((reaction) => reaction.text)
+      .map((reaction) => ({
+        from: reaction.key?.fromMe
+          ? (meId ? jidNormalizedUser(meId) : null)
+          : (reaction.key?.participant || reaction.key?.remoteJid || null),
+        emoji: reaction.text,
+        timestamp: reaction.senderTimestampMs ? new Date(toNumber(reaction.senderTimestampMs)).toISOString() : null
+      })),
+    status: statusName(msg.status)
+  };
+}
+
+/**
+ * Whether a request asked for the simple message format (?format=simple)
+ * @param {object} req - Express request object
+ * @returns {boolean}
+ */
+const wantsSimpleFormat = (req) => req.query.format === 'simple';
+
+export {
+  MESSAGE_TYPES,
+  payloadType,
+  validateMessagePayload,
+  buildMessageContent,
+  getMessageText,
+  parseTimestamp,
+  foldText,
+  searchMessages,
+  statusName,
+  normalizeMessage,
+  wantsSimpleFormat
+};
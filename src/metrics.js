@@ -0,0 +1,202 @@
+import { countSessionStatuses, disconnectReasonName } from './session_status.js'
+
+// Prometheus text exposition format, see https://prometheus.io/docs/instrumenting/exposition_formats/
+
+const PREFIX = 'wapp_';
+const LATENCY_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+// Registered metrics, rendered in this order
+const registry = [];
+
+const escapeLabel = (value) => String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+
+/**
+ * Renders a label set, e.g. {session="a",status="open"}
+ */
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (!entries.length) return '';
+  return `{${entries.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(',')}}`;
+}
+
+// Series are stored by their rendered labels
+const seriesKey = (labels) => formatLabels(labels);
+
+/**
+ * Creates a counter
+ * @param {string} name - Metric name, without prefix
+ * @param {string} help - Description
+ * @returns {{ inc: function }}
+ */
+function counter(name, help) {
+  const series = new Map(); // labels -> value
+  registry.push({
+    name: PREFIX + name,
+    help,
+    type: 'counter',
+    lines: () => Array.from(series, ([labels, value]) => `${PREFIX}${name}${labels} ${value}`)
+  });
+  return {
+    inc(labels = {}, value = 1) {
+      const key = seriesKey(labels);
+      series.set(key, (series.get(key) || 0) + value);
+    }
+  };
+}
+
+/**
+ * Creates a histogram
+ * @param {string} name - Metric name, without prefix
+ * @param {string} help - Description
+ * @param {number[]} [buckets] - Upper bounds in seconds
+ * @returns {{ observe: function }}
+ */
+function histogram(name, help, buckets = LATENCY_BUCKETS) {
+  const series = new Map(); // labels key -> { labels, counts, sum, count }
+  registry.push({
+    name: PREFIX + name,
+    help,
+    type: 'histogram',
+    lines: () => Array.from(series.values()).flatMap(({ labels, counts, sum, count }) => [
+      ...buckets.map((le, i) => `${PREFIX}${name}_bucket${formatLabels({ ...labels, le })} ${counts[i]}`),
+      `${PREFIX}${name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`,
+      `${PREFIX}${name}_sum${formatLabels(labels)} ${sum}`,
+      `${PREFIX}${name}_count${formatLabels(labels)} ${count}`
+    ])
+  });
+  return {
+    observe(labels, seconds) {
+      const key = seriesKey(labels);
+      if (!series.has(key)) series.set(key, { labels, counts: buckets.map(() => 0), sum: 0, count: 0 });
+      const entry = series.get(key);
+      buckets.forEach((le, i) => { if (seconds <= le) entry.counts[i]++; });
+      entry.sum += seconds;
+      entry.count++;
+    }
+  };
+}
+
+/**
+ * Creates a gauge whose values are read at scrape time
+ * @param {string} name - Metric name, without prefix
+ * @param {string} help - Description
+ * @param {function} collect - Receives the scrape context, returns [{ labels, value }]
+ */
+function gauge(name, help, collect) {
+  registry.push({
+    name: PREFIX + name,
+    help,
+    type: 'gauge',
+    lines: (context) => collect(context).map(({ labels, value }) => `${PREFIX}${name}${formatLabels(labels)} ${value}`)
+  });
+}
+
+// ---------- Metrics ----------
+
+const messagesSent = counter('messages_sent_total', 'Messages sent through the API, per session');
+const messagesReceived = counter('messages_received_total', 'Messages received, per session');
+const sendFailures = counter('send_failures_total', 'Failed sends, per session and error');
+const reconnections = counter('reconnections_total', 'Reconnections, per DisconnectReason');
+const httpDuration = histogram('http_request_duration_seconds', 'HTTP request latency, per method, route and status code');
+const redisAuthDuration = histogram('redis_auth_operation_duration_seconds', 'Latency of auth state operations in Redis, per operation');
+
+gauge('sessions', 'Sessions per connection status', () =>
+  Object.entries(countSessionStatuses()).map(([status, value]) => ({ labels: { status }, value })));
+
+gauge('store_chats', 'Chats in the store, per session', ({ sessions }) =>
+  Array.from(sessions, ([session, { store }]) => ({ labels: { session }, value: store.chats.all().length })));
+
+gauge('store_contacts', 'Contacts in the store, per session', ({ sessions }) =>
+  Array.from(sessions, ([session, { store }]) => ({ labels: { session }, value: Object.keys(store.contacts).length })));
+
+gauge('store_messages', 'Messages in the store, per session', ({ sessions }) =>
+  Array.from(sessions, ([session, { store }]) => ({
+    labels: { session },
+    value: Object.values(store.messages).reduce((total, list) => total + list.array.length, 0)
+  })));
+
+gauge('process_resident_memory_bytes', 'Resident memory of the process', () =>
+  [{ labels: {}, value: process.memoryUsage().rss }]);
+
+/**
+ * Error label: the status code of Boom errors (e.g. 408 timeout, 428 connection closed) or the error class,
+ * never the message, which can include ids and would create a series per failure
+ */
+function errorLabel(err) {
+  const status = err?.output?.statusCode;
+  if (status) return String(status);
+  return err instanceof Error ? err.name : 'unknown';
+}
+
+/**
+ * Counts the messages sent and received by a socket, and its failed sends
+ * @param {string} sessionId - Session identifier
+ * @param {object} sock - Baileys socket
+ */
+function bindMetrics(sessionId, sock) {
+  const sendMessage = sock.sendMessage;
+  sock.sendMessage = async (...args) => {
+    try {
+      const result = await sendMessage(...args);
+      messagesSent.inc({ session: sessionId });
+      return result;
+    } catch (err) {
+      sendFailures.inc({ session: sessionId, error: errorLabel(err) });
+      throw err;
+    }
+  };
+
+  sock.ev.on('messages.upsert', ({ messages, type }) => {
+    if (type !== 'notify') return;
+    const received = messages.filter((msg) => !msg.key.fromMe).length;
+    if (received) messagesReceived.inc({ session: sessionId }, received);
+  });
+}
+
+/**
+ * Counts a reconnection
+ * @param {number} code - DisconnectReason status code
+ */
+function recordReconnection(code) {
+  reconnections.inc({ reason: disconnectReasonName(code) });
+}
+
+/**
+ * Records the latency of an auth state operation in Redis
+ * @param {string} operation - e.g. 'keys.get'
+ * @param {number} startedAt - process.hrtime.bigint() before the operation
+ */
+function observeRedisAuthOperation(operation, startedAt) {
+  redisAuthDuration.observe({ operation }, Number(process.hrtime.bigint() - startedAt) / 1e9);
+}
+
+/**
+ * Records the latency of an HTTP request
+ * @param {object} labels - { method, route, status }
+ * @param {number} startedAt - process.hrtime.bigint() when the request arrived
+ */
+function observeHttpRequest(labels, startedAt) {
+  httpDuration.observe(labels, Number(process.hrtime.bigint() - startedAt) / 1e9);
+}
+
+/**
+ * Renders every metric in the Prometheus text format
+ * @param {Map} sessions - Active sessions, sessionId -> { sock, store }
+ * @returns {string}
+ */
+function renderMetrics(sessions) {
+  const context = { sessions };
+  return registry.map(({ name, help, type, lines }) => [
+    `# HELP ${name} ${help}`,
+    `# TYPE ${name} ${type}`,
+    ...lines(context)
+  ].join('\n')).join('\n') + '\n';
+}
+
+export {
+  bindMetrics,
+  recordReconnection,
+  observeRedisAuthOperation,
+  observeHttpRequest,
+  renderMetrics
+};
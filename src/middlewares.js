@@ -1,34 +1,117 @@
+import busboy from "busboy";
+import bytes from "bytes";
 import { sessions } from './helpers.js'
+import { authenticateApiKey, canAccessSession } from './api_keys.js'
+import { observeHttpRequest } from './metrics.js'
+import { getSessionOwner, isForwarded, forwardRequest } from './cluster.js'
 import logger from './logger.js'
 
 /**
- * Express middleware to ensure a session exists
+ * Express middleware to ensure the api key can access the session in the URL
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @param {function} next - Express next function
+ */
+function requireSessionAccess(req, res, next) {
+  const { sessionId } = req.params;
+  if (!canAccessSession(req.apiKey, sessionId)) {
+    return res.status(403).json({ error: "Api key not allowed for this session" });
+  }
+  next();
+}
+
+/**
+ * Express middleware to ensure a session exists and the api key can access it
  * @param {object} req - Express request object
  * @param {object} res - Express response object
  * @param {function} next - Express next function
  */
 function requireSession(req, res, next) {
   const { sessionId } = req.params;
+  if (!canAccessSession(req.apiKey, sessionId)) {
+    return res.status(403).json({ error: "Api key not allowed for this session" });
+  }
   if (!sessions.has(sessionId)) return res.status(404).json({ error: "Session not found" });
   req.session = sessions.get(sessionId);
   next();
 }
 
+/**
+ * Express middleware to load the message in the URL from the session store into req.message.
+ * Must run after requireSession.
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @param {function} next - Express next function
+ */
+async function requireMessage(req, res, next) {
+  const { chatId, messageId } = req.params;
+  const msg = await req.session.store.loadMessage(chatId, messageId);
+  if (!msg) return res.status(404).json({ error: "Message not found" });
+  req.message = msg;
+  next();
+}
+
+/**
+ * Express middleware that proxies /sessions/:sessionId/... requests to the instance connecting the session.
+ * Must run before the body parsers, the request body is streamed to the owner as is.
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @param {function} next - Express next function
+ */
+async function forwardToSessionOwner(req, res, next) {
+  const match = /^\/sessions\/([^/]+)/.exec(req.path);
+  if (!match || isForwarded(req)) return next();
+  const owner = await getSessionOwner(decodeURIComponent(match[1]));
+  if (!owner || owner.local) return next();
+  if (!owner.url) return res.status(503).json({ error: "Session owner instance unknown" });
+  forwardRequest(req, res, owner.url);
+}
+
 /**
  * Express middleware for API key authentication
- * @param {string} apiKey - The API key to validate against
+ * Accepts the admin key or a tenant key stored in Redis, and sets req.apiKey.
+ * @param {string} apiKey - The admin API key
  * @returns {function} Express middleware function
  */
 function apiKeyAuth(apiKey) {
-  return (req, res, next) => {
+  return async (req, res, next) => {
     const key = req.headers['x-api-key'];
-    if (!key || key !== apiKey) {
+    const authenticated = await authenticateApiKey(key, apiKey);
+    if (!authenticated) {
       return res.status(401).json({ error: 'Api key not found or invalid' });
     }
+    req.apiKey = authenticated;
     next();
   };
 }
 
+/**
+ * Express middleware to ensure the api key has a permission
+ * @param {string} permission - 'read', 'send' or 'manage'
+ * @returns {function} Express middleware function
+ */
+function requirePermission(permission) {
+  return (req, res, next) => {
+    if (!req.apiKey?.permissions.includes(permission)) {
+      return res.status(403).json({ error: `Api key lacks the ${permission} permission` });
+    }
+    next();
+  };
+}
+
+/**
+ * Express middleware to ensure the request uses the admin api key
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @param {function} next - Express next function
+ */
+function requireAdmin(req, res, next) {
+  if (!req.apiKey?.admin) {
+    return res.status(403).json({ error: 'Admin api key required' });
+  }
+  next();
+}
+
 /**
  * Express middleware to log all requests at debug level
  * @param {object} req - Express request object
@@ -45,4 +128,86 @@ function requestLogger(req, res, next) {
   next();
 }
 
-export { requireSession, apiKeyAuth, requestLogger };
+/**
+ * Express middleware that records the latency of each request by route pattern
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @param {function} next - Express next function
+ */
+function httpMetrics(req, res, next) {
+  const startedAt = process.hrtime.bigint();
+  res.on('finish', () => {
+    // the route pattern, not the URL, keeps session and chat ids out of the labels
+    const route = req.route ? req.baseUrl + req.route.path : 'unmatched';
+    observeHttpRequest({ method: req.method, route, status: res.statusCode }, startedAt);
+  });
+  next();
+}
+
+/**
+ * Express middleware that parses multipart/form-data uploads
+ * Text fields are set on req.body and the file sent as `file` on req.file ({ filename, mimetype, buffer }).
+ * Other files are skipped without buffering them.
+ * @param {object} options
+ * @param {string} options.limit - Max size of the file and of each field, e.g. '20mb'
+ * @returns {function} Express middleware function
+ */
+function multipartBody({ limit }) {
+  const maxBytes = bytes.parse(limit);
+  return (req, res, next) => {
+    if (!req.is('multipart/form-data')) return next();
+
+    let parser;
+    try {
+      parser = busboy({ headers: req.headers, limits: { fileSize: maxBytes, fieldSize: maxBytes } });
+    } catch {
+      return res.status(400).json({ error: 'Invalid multipart body' });
+    }
+
+    const fields = {};
+    let file;
+    let tooLarge = false;
+    let finished = false;
+    const finish = (callback) => {
+      if (finished) return;
+      finished = true;
+      req.unpipe(parser);
+      req.resume(); // drain what is left of the body
+      callback();
+    };
+
+    parser.on('field', (name, value, { valueTruncated }) => {
+      if (valueTruncated) tooLarge = true;
+      fields[name] = value;
+    });
+    parser.on('file', (name, stream, { filename, mimeType }) => {
+      if (name !== 'file' || file) return stream.resume();
+      const chunks = [];
+      file = { fieldname: name, filename, mimetype: mimeType || 'application/octet-stream', buffer: null };
+      stream.on('data', (chunk) => chunks.push(chunk));
+      stream.on('limit', () => { tooLarge = true; });
+      stream.on('end', () => { file.buffer = Buffer.concat(chunks); });
+    });
+    parser.on('error', (err) => finish(() => res.status(400).json({ error: `Invalid multipart body: ${err.message}` })));
+    parser.on('close', () => finish(() => {
+      if (tooLarge) return res.status(413).json({ error: `Fields and files must be smaller than ${limit}` });
+      req.body = fields;
+      req.file = file;
+      next();
+    }));
+    req.pipe(parser);
+  };
+}
+
+export {
+  requireSession,
+  requireMessage,
+  requireSessionAccess,
+  forwardToSessionOwner,
+  apiKeyAuth,
+  requirePermission,
+  requireAdmin,
+  requestLogger,
+  httpMetrics,
+  multipartBody
+};
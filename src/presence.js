@@ -0,0 +1,134 @@
+import { EventEmitter } from 'events'
+import logger from './logger.js'
+
+// Presence of the contacts of each chat: online, typing, recording audio. Only kept in memory,
+// WhatsApp sends it to the connected socket and it is outdated after a reconnection anyway.
+
+// What the session can show in a chat (composing, recording, paused) or to all its contacts (available, unavailable)
+const PRESENCE_TYPES = ['composing', 'recording', 'paused', 'available', 'unavailable'];
+const CHAT_STATES = ['composing', 'recording', 'paused'];
+// WhatsApp clients repeat "composing" while typing and do not always send "paused" when they stop
+const CHAT_STATE_TIMEOUT_MS = 25000;
+
+// Chats whose presence is subscribed, with the last presence of their participants
+const presences = new Map(); // sessionId -> Map chatId -> { subscribedAt, participants: Map jid -> { presence, lastSeen, updatedAt } }
+
+// Emits 'update' with { sessionId, chatId, jid, presence, lastSeen, updatedAt } on every presence received
+// and 'cleared' with { sessionId } when the session is stopped or deleted
+const presenceEvents = new EventEmitter();
+presenceEvents.setMaxListeners(0); // one listener per presence stream
+
+/**
+ * Validates a presence to send
+ * @param {any} type - One of PRESENCE_TYPES
+ * @returns {string|null} Error message, or null if valid
+ */
+function validatePresenceType(type) {
+  if (!PRESENCE_TYPES.includes(type)) return `type must be one of ${PRESENCE_TYPES.join(', ')}`;
+  return null;
+}
+
+/**
+ * Whether a presence is shown in a single chat, as opposed to all contacts
+ * @param {string} type - One of PRESENCE_TYPES
+ * @returns {boolean}
+ */
+const isChatState = (type) => CHAT_STATES.includes(type);
+
+const chatsOf = (sessionId) => {
+  if (!presences.has(sessionId)) presences.set(sessionId, new Map());
+  return presences.get(sessionId);
+};
+
+/**
+ * Converts a stored participant presence to the API response, expiring stale chat states
+ * @param {string} jid - Participant JID
+ * @param {object} entry - { presence, lastSeen, updatedAt }
+ * @returns {object}
+ */
+function formatPresence(jid, { presence, lastSeen, updatedAt }) {
+  const stale = isChatState(presence) && Date.now() - Date.parse(updatedAt) > CHAT_STATE_TIMEOUT_MS;
+  return {
+    jid,
+    presence: stale ? 'available' : presence,
+    lastSeen: lastSeen ? new Date(lastSeen * 1000).toISOString() : null,
+    updatedAt
+  };
+}
+
+/**
+ * Records the presence updates received by a socket, and subscribes again to the chats
+ * that were subscribed when it reconnects
+ * @param {string} sessionId - Session identifier
+ * @param {object} sock - Baileys socket
+ */
+function bindPresence(sessionId, sock) {
+  sock.ev.on('presence.update', ({ id: chatId, presences: updates }) => {
+    // WhatsApp also sends the presence of chats nobody subscribed to (e.g. typing in open chats):
+    // streamed, but only stored for subscribed chats so memory does not grow with every contact
+    const chat = chatsOf(sessionId).get(chatId);
+    const updatedAt = new Date().toISOString();
+    for (const [participant, { lastKnownPresence, lastSeen }] of Object.entries(updates)) {
+      // "available" updates of a contact that is typing come without lastSeen, keep the one we know
+      const previous = chat?.participants.get(participant);
+      const entry = { presence: lastKnownPresence, lastSeen: lastSeen ?? previous?.lastSeen ?? null, updatedAt };
+      if (chat?.subscribedAt) chat.participants.set(participant, entry);
+      presenceEvents.emit('update', { sessionId, chatId, ...formatPresence(participant, entry) });
+    }
+  });
+  sock.ev.on('connection.update', ({ connection }) => {
+    if (connection !== 'open') return;
+    for (const [chatId, chat] of chatsOf(sessionId)) {
+      if (!chat.subscribedAt) continue;
+      sock.presenceSubscribe(chatId).catch((err) => {
+        logger.warn({ sessionId, chatId, error: err.message }, "Failed to renew presence subscription");
+      });
+    }
+  });
+}
+
+/**
+ * Subscribes to the presence of a chat, once per session
+ * @param {string} sessionId - Session identifier
+ * @param {object} sock - Baileys socket
+ * @param {string} chatId - Chat JID
+ */
+async function subscribePresence(sessionId, sock, chatId) {
+  if (chatsOf(sessionId).get(chatId)?.subscribedAt) return;
+  await sock.presenceSubscribe(chatId);
+  chatsOf(sessionId).set(chatId, { subscribedAt: new Date().toISOString(), participants: new Map() });
+}
+
+/**
+ * Gets the last presence received in a chat
+ * @param {string} sessionId - Session identifier
+ * @param {string} chatId - Chat JID
+ * @returns {object} { chatId, subscribedAt, participants: [{ jid, presence, lastSeen, updatedAt }] }
+ */
+function getPresence(sessionId, chatId) {
+  const chat = presences.get(sessionId)?.get(chatId);
+  return {
+    chatId,
+    subscribedAt: chat?.subscribedAt || null,
+    participants: [...(chat?.participants || [])].map(([jid, entry]) => formatPresence(jid, entry))
+  };
+}
+
+/**
+ * Forgets the presence subscriptions of a session and ends its presence streams
+ * @param {string} sessionId - Session identifier
+ */
+function clearPresence(sessionId) {
+  presences.delete(sessionId);
+  presenceEvents.emit('cleared', { sessionId });
+}
+
+export {
+  presenceEvents,
+  validatePresenceType,
+  isChatState,
+  bindPresence,
+  subscribePresence,
+  getPresence,
+  clearPresence
+};
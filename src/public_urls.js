@@ -0,0 +1,88 @@
+import dns from 'dns'
+import net from 'net'
+
+// Checks of the urls the server connects to on behalf of API clients (webhooks, media urls):
+// they must not reach loopback, private or link-local addresses of the internal network.
+
+/**
+ * Parses a comma separated list of host names, e.g. an *_ALLOWED_HOSTS setting
+ * @param {string} [value]
+ * @returns {string[]}
+ */
+const parseHostList = (value) => (value || '')
+  .split(',')
+  .map((host) => host.trim().toLowerCase())
+  .filter(Boolean);
+
+// Loopback, private, link-local, CGNAT, multicast and reserved ranges
+const blockedAddresses = new net.BlockList();
+for (const [prefix, bits] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+]) {
+  blockedAddresses.addSubnet(prefix, bits, 'ipv4');
+}
+for (const [prefix, bits] of [
+  ['::', 127], ['::ffff:0:0', 96], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+]) {
+  blockedAddresses.addSubnet(prefix, bits, 'ipv6');
+}
+
+class PrivateAddressError extends Error {}
+
+const hostnameOf = (url) => url.hostname.replace(/^\[|\]$/g, '').toLowerCase();
+
+const isBlockedAddress = (address) =>
+  blockedAddresses.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+
+/**
+ * Whether a url is a loopback, private or link-local address literal whose host is not allowed
+ * @param {URL} url
+ * @param {string[]} [allowedHosts]
+ * @returns {boolean}
+ */
+function isPrivateAddressUrl(url, allowedHosts = []) {
+  const hostname = hostnameOf(url);
+  return !allowedHosts.includes(hostname) && net.isIP(hostname) > 0 && isBlockedAddress(hostname);
+}
+
+/**
+ * dns.lookup replacement for http.get that fails when a host resolves to a blocked address,
+ * so a name can not resolve to a public address when validated and a private one when connecting
+ */
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, options, (err, address, family) => {
+    if (err) return callback(err);
+    const addresses = Array.isArray(address) ? address.map((entry) => entry.address) : [address];
+    if (addresses.some(isBlockedAddress)) {
+      return callback(new PrivateAddressError(`Host ${hostname} resolves to a private address`));
+    }
+    callback(null, address, family);
+  });
+}
+
+/**
+ * Fails if the host of a url resolves to a blocked address, for clients that do not take a lookup function (fetch)
+ * @param {URL} url
+ * @param {string[]} [allowedHosts]
+ * @returns {Promise<void>}
+ */
+function checkPublicHost(url, allowedHosts = []) {
+  const hostname = hostnameOf(url);
+  if (allowedHosts.includes(hostname)) return Promise.resolve();
+  if (net.isIP(hostname)) {
+    return isBlockedAddress(hostname) ? Promise.reject(new PrivateAddressError(`Host ${hostname} is a private address`)) : Promise.resolve();
+  }
+  return new Promise((resolve, reject) => {
+    publicLookup(hostname, { all: true }, (err) => (err ? reject(err) : resolve()));
+  });
+}
+
+export {
+  PrivateAddressError,
+  parseHostList,
+  hostnameOf,
+  isPrivateAddressUrl,
+  publicLookup,
+  checkPublicHost
+};
@@ -0,0 +1,12 @@
+// Every key of the service lives under REDIS_NAMESPACE, so the database can be shared with other data
+const REDIS_NAMESPACE = process.env.REDIS_NAMESPACE ?? 'padma-wa';
+
+/**
+ * Builds a namespaced Redis key
+ * e.g. redisKey('store', 'escuela-1', 'chats') => "padma-wa:store:escuela-1:chats"
+ * @param {...string} parts
+ * @returns {string}
+ */
+const redisKey = (...parts) => (REDIS_NAMESPACE ? [REDIS_NAMESPACE, ...parts] : parts).join(':');
+
+export { REDIS_NAMESPACE, redisKey };
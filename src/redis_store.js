@@ -0,0 +1,329 @@
+import {
+  makeInMemoryStore,
+  jidNormalizedUser,
+  toNumber,
+  BufferJSON
+} from "@whiskeysockets/baileys";
+import { redisClient } from './use_redis_auth_state.js'
+import { redisKey } from './redis_keys.js'
+
+// Retention of messages persisted per chat
+const STORE_MAX_MESSAGES_PER_CHAT = Number(process.env.STORE_MAX_MESSAGES_PER_CHAT) || 1000;
+const STORE_MESSAGE_RETENTION_DAYS = Number(process.env.STORE_MESSAGE_RETENTION_DAYS) || 0; // 0 = no age limit
+// Changes are batched and written to Redis at most once per interval
+const STORE_FLUSH_INTERVAL_MS = Number(process.env.STORE_FLUSH_INTERVAL_MS) || 1000;
+
+// Redis keys
+const chatsKey = (sessionId) => redisKey('store', sessionId, 'chats'); // hash jid -> chat JSON
+const contactsKey = (sessionId) => redisKey('store', sessionId, 'contacts'); // hash jid -> contact JSON
+const labelsKey = (sessionId) => redisKey('store', sessionId, 'labels'); // hash labelId -> label JSON
+const labelAssociationsKey = (sessionId) => redisKey('store', sessionId, 'label-associations'); // string, JSON array
+const messageChatsKey = (sessionId) => redisKey('store', sessionId, 'message-chats'); // set of jids with stored messages
+const messagesKey = (sessionId, jid) => redisKey('store', sessionId, 'messages', jid); // hash messageId -> message JSON
+const messageIndexKey = (sessionId, jid) => redisKey('store', sessionId, 'message-index', jid); // sorted set messageId by timestamp
+
+/**
+ * JSON replacer that keeps Buffers (as base64) and turns protobuf Longs into numbers
+ */
+function replacer(key, value) {
+  if (value && typeof value === 'object' && typeof value.low === 'number' && typeof value.high === 'number' && 'unsigned' in value) {
+    return toNumber(value);
+  }
+  return BufferJSON.replacer(key, value);
+}
+
+const serialize = (value) => JSON.stringify(value, replacer);
+const deserialize = (value) => JSON.parse(value, BufferJSON.reviver);
+
+/**
+ * Creates a store with the interface of makeInMemoryStore, persisted in Redis.
+ * Reads are served from memory; every change is written to Redis in batches.
+ * @param {object} options
+ * @param {string} options.sessionId - Session identifier
+ * @param {object} options.logger - Pino logger
+ * @returns {object} Store, call `await store.load()` before binding it
+ */
+function makeRedisStore({ sessionId, logger }) {
+  const store = makeInMemoryStore({ logger });
+
+  // Pending changes
+  let resetAll = false;
+  let labelsChanged = false;
+  let labelAssociationsChanged = false;
+  const changedChats = new Set();
+  const changedContacts = new Set();
+  const clearedMessageChats = new Set();
+  const changedMessages = new Map(); // jid -> Set of message ids
+  let flushTimer = null;
+
+  function markMessage(jid, id) {
+    if (!changedMessages.has(jid)) changedMessages.set(jid, new Set());
+    changedMessages.get(jid).add(id);
+  }
+
+  function scheduleFlush() {
+    if (flushTimer) return;
+    flushTimer = setTimeout(() => {
+      flushTimer = null;
+      flush().catch((err) => logger.error({ sessionId, error: err }, "Failed to persist store"));
+    }, STORE_FLUSH_INTERVAL_MS);
+  }
+
+  /**
+   * Removes the oldest messages of a chat beyond the configured retention
+   * @param {string} jid - Chat identifier
+   * @returns {string[]} Removed message ids
+   */
+  function trimMessages(jid) {
+    const list = store.messages[jid];
+    if (!list) return [];
+
+    const cutoff = STORE_MESSAGE_RETENTION_DAYS
+      ? Math.floor(Date.now() / 1000) - STORE_MESSAGE_RETENTION_DAYS * 86400
+      : 0;
+    const excess = Math.max(0, list.array.length - STORE_MAX_MESSAGES_PER_CHAT);
+    const removed = list.array
+      .filter((msg, idx) => idx < excess || toNumber(msg.messageTimestamp) < cutoff)
+      .map((msg) => msg.key.id);
+
+    if (removed.length) {
+      const removedIds = new Set(removed);
+      list.filter((msg) => !removedIds.has(msg.key.id));
+    }
+    return removed;
+  }
+
+  /**
+   * Writes the pending changes to Redis
+   */
+  async function flush() {
+    const multi = redisClient.multi();
+
+    if (resetAll) {
+      // a full history sync replaced chats and messages
+      const jids = await redisClient.sMembers(messageChatsKey(sessionId));
+      multi.del(chatsKey(sessionId));
+      multi.del(messageChatsKey(sessionId));
+      for (const jid of jids) {
+        multi.del(messagesKey(sessionId, jid));
+        multi.del(messageIndexKey(sessionId, jid));
+      }
+      for (const chat of store.chats.all()) changedChats.add(chat.id);
+      for (const jid in store.messages) {
+        for (const msg of store.messages[jid].array) markMessage(jid, msg.key.id);
+      }
+      resetAll = false;
+    }
+
+    for (const jid of changedChats) {
+      const chat = store.chats.get(jid);
+      if (chat) multi.hSet(chatsKey(sessionId), jid, serialize(chat));
+      else multi.hDel(chatsKey(sessionId), jid);
+    }
+    changedChats.clear();
+
+    for (const jid of changedContacts) {
+      const contact = store.contacts[jid];
+      if (contact) multi.hSet(contactsKey(sessionId), jid, serialize(contact));
+      else multi.hDel(contactsKey(sessionId), jid);
+    }
+    changedContacts.clear();
+
+    for (const jid of clearedMessageChats) {
+      multi.del(messagesKey(sessionId, jid));
+      multi.del(messageIndexKey(sessionId, jid));
+      multi.sRem(messageChatsKey(sessionId), jid);
+    }
+    clearedMessageChats.clear();
+
+    for (const [jid, ids] of changedMessages) {
+      const removed = trimMessages(jid);
+      for (const id of removed) ids.add(id);
+
+      const list = store.messages[jid];
+      for (const id of ids) {
+        const msg = list?.get(id);
+        if (msg) {
+          multi.hSet(messagesKey(sessionId, jid), id, serialize(msg));
+          multi.zAdd(messageIndexKey(sessionId, jid), { score: toNumber(msg.messageTimestamp), value: id });
+        } else {
+          multi.hDel(messagesKey(sessionId, jid), id);
+          multi.zRem(messageIndexKey(sessionId, jid), id);
+        }
+      }
+      multi.sAdd(messageChatsKey(sessionId), jid);
+    }
+    changedMessages.clear();
+
+    if (labelsChanged) {
+      multi.del(labelsKey(sessionId));
+      for (const label of store.labels.findAll()) {
+        multi.hSet(labelsKey(sessionId), label.id, serialize(label));
+      }
+      labelsChanged = false;
+    }
+
+    if (labelAssociationsChanged) {
+      multi.set(labelAssociationsKey(sessionId), serialize(store.labelAssociations.all()));
+      labelAssociationsChanged = false;
+    }
+
+    await multi.exec();
+  }
+
+  /**
+   * Loads the persisted chats, contacts, labels and messages into memory
+   */
+  async function load() {
+    const [chats, contacts, labels, labelAssociations, jids] = await Promise.all([
+      redisClient.hGetAll(chatsKey(sessionId)),
+      redisClient.hGetAll(contactsKey(sessionId)),
+      redisClient.hGetAll(labelsKey(sessionId)),
+      redisClient.get(labelAssociationsKey(sessionId)),
+      redisClient.sMembers(messageChatsKey(sessionId))
+    ]);
+
+    const messages = {};
+    for (const jid of jids) {
+      // oldest first, which is the order kept in memory
+      const ids = await redisClient.zRange(messageIndexKey(sessionId, jid), 0, -1);
+      if (!ids.length) continue;
+      const stored = await redisClient.hmGet(messagesKey(sessionId, jid), ids);
+      messages[jid] = stored.filter(Boolean).map(deserialize);
+    }
+
+    store.fromJSON({
+      chats: Object.values(chats).map(deserialize),
+      contacts: Object.fromEntries(Object.entries(contacts).map(([jid, value]) => [jid, deserialize(value)])),
+      messages,
+      labels: Object.values(labels).map(deserialize),
+      labelAssociations: labelAssociations ? deserialize(labelAssociations) : []
+    });
+
+    logger.info({
+      sessionId,
+      chats: Object.keys(chats).length,
+      contacts: Object.keys(contacts).length,
+      messageChats: Object.keys(messages).length
+    }, "Store loaded from Redis");
+  }
+
+  /**
+   * Binds the store to a socket event emitter and persists every change
+   * @param {object} ev - Baileys event emitter (sock.ev)
+   */
+  function bind(ev) {
+    // the in-memory store must handle the events first, persistence reads its state
+    store.bind(ev);
+
+    ev.on('messaging-history.set', ({ chats, contacts, messages, isLatest }) => {
+      if (isLatest) resetAll = true;
+      for (const chat of chats) changedChats.add(chat.id);
+      for (const contact of contacts) changedContacts.add(contact.id);
+      for (const msg of messages) markMessage(jidNormalizedUser(msg.key.remoteJid), msg.key.id);
+      scheduleFlush();
+    });
+    ev.on('chats.upsert', (chats) => {
+      for (const chat of chats) changedChats.add(chat.id);
+      scheduleFlush();
+    });
+    ev.on('chats.update', (updates) => {
+      for (const update of updates) changedChats.add(update.id);
+      scheduleFlush();
+    });
+    ev.on('chats.delete', (ids) => {
+      for (const id of ids) changedChats.add(id);
+      scheduleFlush();
+    });
+    ev.on('contacts.upsert', (contacts) => {
+      for (const contact of contacts) changedContacts.add(contact.id);
+      scheduleFlush();
+    });
+    ev.on('contacts.update', (updates) => {
+      for (const update of updates) changedContacts.add(update.id);
+      scheduleFlush();
+    });
+    ev.on('messages.upsert', ({ messages }) => {
+      for (const msg of messages) markMessage(jidNormalizedUser(msg.key.remoteJid), msg.key.id);
+      scheduleFlush();
+    });
+    ev.on('messages.update', (updates) => {
+      for (const { key } of updates) markMessage(jidNormalizedUser(key.remoteJid), key.id);
+      scheduleFlush();
+    });
+    ev.on('message-receipt.update', (updates) => {
+      for (const { key } of updates) markMessage(jidNormalizedUser(key.remoteJid), key.id);
+      scheduleFlush();
+    });
+    ev.on('messages.reaction', (reactions) => {
+      for (const { key } of reactions) markMessage(jidNormalizedUser(key.remoteJid), key.id);
+      scheduleFlush();
+    });
+    ev.on('messages.delete', (item) => {
+      if ('all' in item) {
+        clearedMessageChats.add(jidNormalizedUser(item.jid));
+      } else {
+        for (const key of item.keys) markMessage(jidNormalizedUser(key.remoteJid), key.id);
+      }
+      scheduleFlush();
+    });
+    ev.on('labels.edit', () => {
+      labelsChanged = true;
+      scheduleFlush();
+    });
+    ev.on('labels.association', () => {
+      labelAssociationsChanged = true;
+      scheduleFlush();
+    });
+  }
+
+  /**
+   * Loads messages of a chat around a cursor
+   * Unlike the in-memory store, `after` cursors are supported.
+   * @param {string} jid - Chat identifier
+   * @param {number} count - Max number of messages
+   * @param {object} [cursor] - { before: { id, fromMe? } } or { after: { id, fromMe? } }; newest messages if missing
+   * @returns {Promise<Array|null>} Messages, oldest first. null if the cursor message is not stored
+   */
+  async function loadMessages(jid, count, cursor) {
+    const messages = store.messages[jid]?.array || [];
+    const key = cursor?.before || cursor?.after;
+    if (!key) return messages.slice(-count);
+
+    const idx = messages.findIndex((msg) =>
+      msg.key.id === key.id && (key.fromMe === undefined || !!msg.key.fromMe === key.fromMe)
+    );
+    if (idx === -1) return null;
+    if (cursor.after) return messages.slice(idx + 1, idx + 1 + count);
+    return messages.slice(Math.max(0, idx - count), idx);
+  }
+
+  /**
+   * Removes everything persisted for the session
+   */
+  async function clear() {
+    clearTimeout(flushTimer);
+    flushTimer = null;
+    const jids = await redisClient.sMembers(messageChatsKey(sessionId));
+    const keys = [
+      chatsKey(sessionId),
+      contactsKey(sessionId),
+      labelsKey(sessionId),
+      labelAssociationsKey(sessionId),
+      messageChatsKey(sessionId),
+      ...jids.flatMap((jid) => [messagesKey(sessionId, jid), messageIndexKey(sessionId, jid)])
+    ];
+    await redisClient.del(keys);
+  }
+
+  return {
+    ...store,
+    bind,
+    load,
+    loadMessages,
+    flush,
+    clear
+  };
+}
+
+export { makeRedisStore };
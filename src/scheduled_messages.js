@@ -0,0 +1,451 @@
+import crypto from 'crypto'
+import { redisClient } from './use_redis_auth_state.js'
+import { validateMessagePayload, buildMessageContent, payloadType } from './messages.js'
+import { trackSentMessage } from './message_status.js'
+import logger from './logger.js'
+import { redisKey } from './redis_keys.js'
+import { withDownloadedMedia } from './media_urls.js'
+import { resolveJid, invalidJidMessage } from './jids.js'
+
+const DEFAULT_TIMEZONE = process.env.SCHEDULE_DEFAULT_TIMEZONE || 'UTC';
+// A run that could not be sent this long after its time is skipped (socket disconnected or send errors)
+const MAX_DELAY_MS = (Number(process.env.SCHEDULE_MAX_DELAY_MINUTES) || 60) * 60000;
+const RETRY_MS = 30000;
+const IDLE_CHECK_MS = 60000;
+
+const FREQUENCIES = ['daily', 'weekly', 'monthly'];
+const SCHEDULED_STATUSES = ['scheduled', 'sent', 'missed', 'failed'];
+
+// Redis keys
+const scheduledKey = (sessionId) => redisKey('scheduled', sessionId); // hash id -> scheduled message JSON
+const dueKey = (sessionId) => redisKey('scheduled', sessionId, 'due'); // sorted set id by next run (ms)
+
+// Running schedulers
+const schedulers = new Map(); // sessionId -> { getSession, timer, running }
+
+/**
+ * Whether a string is a valid IANA time zone, e.g. "America/Argentina/Buenos_Aires"
+ */
+function isValidTimezone(timezone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Wall clock time of an instant in a time zone
+ * @returns {object} { year, month (1-12), day, hour, minute, second }
+ */
+function localParts(ms, timezone) {
+  const formatter = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    hourCycle: 'h23',
+    year: 'numeric', month: 'numeric', day: 'numeric',
+    hour: 'numeric', minute: 'numeric', second: 'numeric'
+  });
+  const parts = {};
+  for (const { type, value } of formatter.formatToParts(new Date(ms))) {
+    if (type !== 'literal') parts[type] = Number(value);
+  }
+  return parts;
+}
+
+const partsToUtc = ({ year, month, day, hour, minute, second }) => Date.UTC(year, month - 1, day, hour, minute, second);
+
+/**
+ * Instant of a wall clock time in a time zone
+ * @returns {number} ms
+ */
+function fromLocalParts(parts, timezone) {
+  const guess = partsToUtc(parts);
+  const offset = partsToUtc(localParts(guess, timezone)) - guess;
+  const ms = guess - offset;
+  // the offset may be different at the resulting instant (DST change in between)
+  const realOffset = partsToUtc(localParts(ms, timezone)) - ms;
+  return realOffset === offset ? ms : guess - realOffset;
+}
+
+/**
+ * Parses sendAt. Dates without offset ("2025-05-02T07:00") are read in the given time zone.
+ * @returns {number|null} ms, null if invalid
+ */
+function parseSendAt(sendAt, timezone) {
+  if (typeof sendAt !== 'string') return null;
+  const local = /^(\d{4})-(\d{2})-(\d{2})[T ](\d{2}):(\d{2})(?::(\d{2}))?$/.exec(sendAt);
+  if (!local) {
+    const ms = Date.parse(sendAt);
+    return Number.isNaN(ms) ? null : ms;
+  }
+  const [, year, month, day, hour, minute, second] = local.map(Number);
+  return fromLocalParts({ year, month, day, hour, minute, second: second || 0 }, timezone);
+}
+
+/**
+ * Next run of a recurrence after `fromMs`, keeping the wall clock time in the time zone
+ * @param {number} fromMs - Current run
+ * @param {object} recurrence - { frequency, interval }
+ * @param {string} timezone
+ * @returns {number} ms
+ */
+function nextOccurrence(fromMs, { frequency, interval = 1 }, timezone) {
+  const parts = localParts(fromMs, timezone);
+  if (frequency === 'daily') parts.day += interval;
+  if (frequency === 'weekly') parts.day += 7 * interval;
+  if (frequency === 'monthly') {
+    const target = new Date(Date.UTC(parts.year, parts.month - 1 + interval, 1));
+    const daysInMonth = new Date(Date.UTC(target.getUTCFullYear(), target.getUTCMonth() + 1, 0)).getUTCDate();
+    parts.year = target.getUTCFullYear();
+    parts.month = target.getUTCMonth() + 1;
+    parts.day = Math.min(parts.day, daysInMonth);
+  }
+  // normalize overflowing days
+  const normalized = new Date(partsToUtc(parts));
+  return fromLocalParts({
+    year: normalized.getUTCFullYear(),
+    month: normalized.getUTCMonth() + 1,
+    day: normalized.getUTCDate(),
+    hour: parts.hour,
+    minute: parts.minute,
+    second: parts.second
+  }, timezone);
+}
+
+/**
+ * Validates a recurrence: { frequency: daily|weekly|monthly, interval, until, count }
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateRecurrence(recurrence) {
+  if (recurrence === null) return null;
+  if (typeof recurrence !== 'object') return "recurrence must be an object";
+  const { frequency, interval, until, count } = recurrence;
+  if (!FREQUENCIES.includes(frequency)) return `recurrence.frequency must be one of: ${FREQUENCIES.join(', ')}`;
+  if (interval !== undefined && (!Number.isInteger(interval) || interval < 1)) return "recurrence.interval must be a positive integer";
+  if (until !== undefined && Number.isNaN(Date.parse(until))) return "recurrence.until must be an ISO date";
+  if (count !== undefined && (!Number.isInteger(count) || count < 1)) return "recurrence.count must be a positive integer";
+  return null;
+}
+
+/**
+ * Validates a scheduled message
+ * @param {object} body - Request body
+ * @param {boolean} [partial] - Validate only the given fields (updates)
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateScheduledMessage({ to, message, sendAt, timezone, recurrence }, partial = false) {
+  if (!partial && !to) return "to is required";
+  if (to !== undefined && !resolveJid(to)) return invalidJidMessage(to);
+  if (!partial || message !== undefined) {
+    if (!message || typeof message !== 'object') return "message is required";
+    const messageError = validateMessagePayload(message);
+    if (messageError) return `Invalid message: ${messageError}`;
+  }
+  if (timezone !== undefined && (typeof timezone !== 'string' || !isValidTimezone(timezone))) {
+    return "timezone must be an IANA time zone, e.g. America/Argentina/Buenos_Aires";
+  }
+  if (!partial && sendAt === undefined) return "sendAt is required";
+  if (sendAt !== undefined && parseSendAt(sendAt, timezone || DEFAULT_TIMEZONE) === null) return "sendAt must be an ISO date";
+  if (recurrence !== undefined) return validateRecurrence(recurrence);
+  return null;
+}
+
+/**
+ * Scheduled message with sendAt as ISO date, for API responses
+ */
+function publicScheduled(item) {
+  return { ...item, sendAt: item.sendAt ? new Date(item.sendAt).toISOString() : null };
+}
+
+async function saveScheduled(sessionId, item) {
+  const multi = redisClient.multi().hSet(scheduledKey(sessionId), item.id, JSON.stringify(item));
+  if (item.status === 'scheduled') multi.zAdd(dueKey(sessionId), { score: item.sendAt, value: item.id });
+  else multi.zRem(dueKey(sessionId), item.id);
+  await multi.exec();
+}
+
+async function loadScheduled(sessionId, id) {
+  const stored = await redisClient.hGet(scheduledKey(sessionId), id);
+  return stored ? JSON.parse(stored) : null;
+}
+
+/**
+ * Schedules a message
+ * @param {string} sessionId - Session identifier
+ * @param {object} options
+ * @param {string} options.chatId - Recipient JID
+ * @param {object} options.message - Send payload (see messages.js)
+ * @param {string} options.sendAt - ISO date, without offset it is read in `timezone`
+ * @param {string} [options.timezone] - IANA time zone, defaults to SCHEDULE_DEFAULT_TIMEZONE
+ * @param {object} [options.recurrence] - { frequency, interval, until, count }
+ * @returns {Promise<object>} Scheduled message
+ */
+async function scheduleMessage(sessionId, { chatId, message, sendAt, timezone, recurrence }) {
+  const tz = timezone || DEFAULT_TIMEZONE;
+  const now = new Date().toISOString();
+  const item = {
+    id: crypto.randomUUID(),
+    chatId,
+    type: payloadType(message),
+    message,
+    sendAt: parseSendAt(sendAt, tz),
+    timezone: tz,
+    recurrence: recurrence || null,
+    status: 'scheduled',
+    runs: 0,
+    attempts: 0,
+    lastRunAt: null,
+    lastMessageId: null,
+    lastError: null,
+    createdAt: now,
+    updatedAt: now
+  };
+  await saveScheduled(sessionId, item);
+  kickScheduler(sessionId);
+  return publicScheduled(item);
+}
+
+/**
+ * Lists the scheduled messages of a session, by next run
+ * @param {string} sessionId - Session identifier
+ * @param {string} [status] - Only messages in this status
+ * @returns {Promise<Array>}
+ */
+async function listScheduled(sessionId, status) {
+  const stored = await redisClient.hVals(scheduledKey(sessionId));
+  return stored
+    .map((value) => JSON.parse(value))
+    .filter((item) => !status || item.status === status)
+    .sort((a, b) => a.sendAt - b.sendAt)
+    .map(publicScheduled);
+}
+
+/**
+ * Gets a scheduled message
+ * @param {string} sessionId - Session identifier
+ * @param {string} id - Scheduled message identifier
+ * @returns {Promise<object|null>}
+ */
+async function getScheduled(sessionId, id) {
+  const item = await loadScheduled(sessionId, id);
+  return item ? publicScheduled(item) : null;
+}
+
+/**
+ * Updates the message, time, time zone or recurrence of a scheduled message.
+ * Messages that already finished are scheduled again if sendAt is given.
+ * Changing only the time zone keeps the local time of the next run, e.g. 09:00 in the new zone.
+ * @param {string} sessionId - Session identifier
+ * @param {string} id - Scheduled message identifier
+ * @param {object} changes - { chatId, message, sendAt, timezone, recurrence }
+ * @returns {Promise<object|null>} Updated scheduled message, null if not found
+ */
+async function updateScheduled(sessionId, id, { chatId, message, sendAt, timezone, recurrence }) {
+  const item = await loadScheduled(sessionId, id);
+  if (!item) return null;
+
+  if (chatId !== undefined) item.chatId = chatId;
+  if (message !== undefined) Object.assign(item, { message, type: payloadType(message) });
+  if (timezone !== undefined && timezone !== item.timezone) {
+    // without a new sendAt the pending run keeps its wall clock time in the new time zone
+    if (sendAt === undefined && item.status === 'scheduled') {
+      item.sendAt = fromLocalParts(localParts(item.sendAt, item.timezone), timezone);
+    }
+    item.timezone = timezone;
+  }
+  if (recurrence !== undefined) item.recurrence = recurrence;
+  if (sendAt !== undefined) {
+    Object.assign(item, { sendAt: parseSendAt(sendAt, item.timezone), status: 'scheduled', attempts: 0 });
+  }
+  item.updatedAt = new Date().toISOString();
+
+  await saveScheduled(sessionId, item);
+  kickScheduler(sessionId);
+  return publicScheduled(item);
+}
+
+/**
+ * Cancels and removes a scheduled message
+ * @param {string} sessionId - Session identifier
+ * @param {string} id - Scheduled message identifier
+ * @returns {Promise<object|null>} Removed scheduled message, null if not found
+ */
+async function cancelScheduled(sessionId, id) {
+  const item = await loadScheduled(sessionId, id);
+  if (!item) return null;
+  await redisClient.multi()
+    .hDel(scheduledKey(sessionId), id)
+    .zRem(dueKey(sessionId), id)
+    .exec();
+  return publicScheduled({ ...item, status: 'cancelled' });
+}
+
+/**
+ * Moves a scheduled message to its next run, or finishes it with `status`
+ */
+function advance(item, status) {
+  item.runs++;
+  item.attempts = 0;
+  item.lastRunAt = new Date().toISOString();
+  const { recurrence } = item;
+  if (recurrence) {
+    // skip the runs missed while the service was down
+    let next = nextOccurrence(item.sendAt, recurrence, item.timezone);
+    while (next < Date.now() - MAX_DELAY_MS) next = nextOccurrence(next, recurrence, item.timezone);
+    const ended = (recurrence.count && item.runs >= recurrence.count)
+      || (recurrence.until && next > Date.parse(recurrence.until));
+    if (!ended) {
+      item.sendAt = next;
+      item.status = 'scheduled';
+      return;
+    }
+  }
+  item.status = status;
+}
+
+/**
+ * Sends a due scheduled message. Runs that cannot be sent within MAX_DELAY_MS are skipped.
+ * @returns {Promise<number|null>} ms to retry this message, null if it is done with this run
+ */
+async function runScheduled(sessionId, session, item) {
+  const late = Date.now() - item.sendAt;
+
+  if (session.store.state?.connection !== 'open') {
+    if (late < MAX_DELAY_MS) return RETRY_MS;
+    item.lastError = 'Session disconnected';
+    advance(item, 'missed');
+    logger.warn({ sessionId, scheduledId: item.id }, "Scheduled message skipped, session disconnected");
+    return null;
+  }
+
+  item.attempts++;
+  try {
+    const result = await session.sock.sendMessage(item.chatId, await withDownloadedMedia(buildMessageContent(item.message)));
+    // the message is sent, failing to track it must not send it again
+    await trackSentMessage(sessionId, { id: result.key.id, chatId: result.key.remoteJid, status: result.status }).catch((err) => {
+      logger.error({ sessionId, scheduledId: item.id, messageId: result.key.id, error: err }, "Failed to track scheduled message");
+    });
+    Object.assign(item, { lastMessageId: result.key.id, lastError: null });
+    advance(item, 'sent');
+    logger.debug({ sessionId, scheduledId: item.id, messageId: result.key.id }, "Scheduled message sent");
+    return null;
+  } catch (err) {
+    item.lastError = err.message;
+    const retryMs = RETRY_MS * Math.pow(2, item.attempts - 1);
+    if (late + retryMs < MAX_DELAY_MS) {
+      logger.info({ sessionId, scheduledId: item.id, attempts: item.attempts, error: err.message }, "Scheduled message failed, retrying");
+      return retryMs;
+    }
+    advance(item, 'failed');
+    logger.warn({ sessionId, scheduledId: item.id, error: err.message }, "Scheduled message failed");
+    return null;
+  }
+}
+
+/**
+ * Runs the due scheduled messages of a session, then schedules the following check
+ */
+async function processScheduled(sessionId) {
+  const scheduler = schedulers.get(sessionId);
+  if (!scheduler || scheduler.running) return;
+  scheduler.running = true;
+  let nextRunMs = IDLE_CHECK_MS;
+
+  try {
+    const session = scheduler.getSession();
+    if (!session) {
+      stopScheduler(sessionId);
+      return;
+    }
+
+    const dueIds = await redisClient.zRange(dueKey(sessionId), 0, Date.now(), { BY: 'SCORE' });
+    for (const id of dueIds) {
+      const item = await loadScheduled(sessionId, id);
+      if (!item) {
+        await redisClient.zRem(dueKey(sessionId), id);
+        continue;
+      }
+      const retryMs = await runScheduled(sessionId, session, item);
+      // the message may have been cancelled while sending
+      if (!await redisClient.hExists(scheduledKey(sessionId), id)) continue;
+      if (retryMs !== null) {
+        await redisClient.multi()
+          .hSet(scheduledKey(sessionId), id, JSON.stringify(item))
+          .zAdd(dueKey(sessionId), { score: Date.now() + retryMs, value: id })
+          .exec();
+      } else {
+        await saveScheduled(sessionId, item);
+      }
+    }
+
+    const [next] = await redisClient.zRangeWithScores(dueKey(sessionId), 0, 0);
+    if (next) nextRunMs = Math.min(Math.max(0, next.score - Date.now()), IDLE_CHECK_MS);
+  } catch (err) {
+    logger.error({ sessionId, error: err }, "Scheduler crashed");
+    nextRunMs = RETRY_MS;
+  } finally {
+    scheduler.running = false;
+    if (schedulers.has(sessionId)) scheduleCheck(sessionId, nextRunMs);
+  }
+}
+
+function scheduleCheck(sessionId, delay) {
+  const scheduler = schedulers.get(sessionId);
+  if (!scheduler) return;
+  clearTimeout(scheduler.timer);
+  scheduler.timer = setTimeout(() => processScheduled(sessionId), delay);
+}
+
+/**
+ * Wakes up the scheduler of a session, e.g. after a message was scheduled
+ * @param {string} sessionId - Session identifier
+ */
+function kickScheduler(sessionId) {
+  const scheduler = schedulers.get(sessionId);
+  if (scheduler && !scheduler.running) scheduleCheck(sessionId, 0);
+}
+
+/**
+ * Starts the scheduler of a session. Messages stored in Redis are resumed.
+ * @param {string} sessionId - Session identifier
+ * @param {function} getSession - Returns the current session object ({ sock, store })
+ */
+function startScheduler(sessionId, getSession) {
+  if (schedulers.has(sessionId)) return;
+  schedulers.set(sessionId, { getSession, timer: null, running: false });
+  scheduleCheck(sessionId, 0);
+}
+
+/**
+ * Stops the scheduler of a session. Scheduled messages stay in Redis.
+ * @param {string} sessionId - Session identifier
+ */
+function stopScheduler(sessionId) {
+  const scheduler = schedulers.get(sessionId);
+  if (!scheduler) return;
+  clearTimeout(scheduler.timer);
+  schedulers.delete(sessionId);
+}
+
+/**
+ * Stops the scheduler and drops every scheduled message of a session
+ * @param {string} sessionId - Session identifier
+ */
+async function clearScheduled(sessionId) {
+  stopScheduler(sessionId);
+  await redisClient.del([scheduledKey(sessionId), dueKey(sessionId)]);
+}
+
+export {
+  SCHEDULED_STATUSES,
+  validateScheduledMessage,
+  scheduleMessage,
+  listScheduled,
+  getScheduled,
+  updateScheduled,
+  cancelScheduled,
+  startScheduler,
+  stopScheduler,
+  clearScheduled
+};
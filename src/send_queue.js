@@ -0,0 +1,385 @@
+import crypto from 'crypto'
+import { EventEmitter } from 'events'
+import { BufferJSON } from "@whiskeysockets/baileys";
+import { redisClient } from './use_redis_auth_state.js'
+import logger from './logger.js'
+import { redisKey } from './redis_keys.js'
+import { withDownloadedMedia } from './media_urls.js'
+import { trackSentMessage } from './message_status.js'
+
+/**
+ * Reads a numeric setting from the environment
+ * @param {string} name - Environment variable
+ * @param {number} defaultValue - Used when the variable is not set
+ * @param {number} [min] - Lowest valid value
+ * @returns {number}
+ */
+function numberSetting(name, defaultValue, min = 0) {
+  const raw = process.env[name];
+  if (raw === undefined || raw.trim() === '') return defaultValue;
+  const value = Number(raw);
+  if (!Number.isFinite(value) || value < min) {
+    logger.warn({ name, value: raw, defaultValue }, `Invalid ${name}, expected a number from ${min}, using the default`);
+    return defaultValue;
+  }
+  return value;
+}
+
+// Rate limits applied to every session queue
+const QUEUE_SETTINGS = {
+  ratePerMinute: numberSetting('SEND_RATE_PER_MINUTE', 20, 1),
+  recipientSpacingMs: numberSetting('SEND_RECIPIENT_SPACING_MS', 5000), // min time between two messages to the same chat
+  jitterMs: numberSetting('SEND_JITTER_MS', 3000), // random extra delay before each message
+  typingSimulation: process.env.SEND_TYPING_SIMULATION !== 'false' // show "typing..." before text messages
+};
+// 'always' queues every message sent through the API, otherwise only when the request asks for it
+const SEND_QUEUE_MODE = process.env.SEND_QUEUE_MODE || 'optional';
+const MAX_ATTEMPTS = 3;
+const FINISHED_JOB_TTL_SECONDS = numberSetting('SEND_QUEUE_JOB_TTL_SECONDS', 7 * 24 * 3600, 1); // 7 days
+const DISCONNECTED_RETRY_MS = 5000;
+const IDLE_CHECK_MS = 60000;
+
+// Redis keys
+const pendingKey = (sessionId) => redisKey('queue', sessionId, 'pending'); // sorted set jobId by not-before time (ms)
+const jobKey = (sessionId, jobId) => redisKey('queue', sessionId, 'job', jobId); // job JSON
+const mediaKey = (sessionId, mediaId) => redisKey('queue', sessionId, 'media', mediaId); // base64 media shared by several jobs
+
+// Emits 'sent' and 'failed' with the job, for modules that track queued messages
+const queueEvents = new EventEmitter();
+
+// Running workers, `rerun` is set when a job is added while the worker runs
+const workers = new Map(); // sessionId -> { getSession, timer, running, rerun, sentTimestamps, lastSentTo }
+
+const serializeJob = (job) => JSON.stringify(job, BufferJSON.replacer);
+const deserializeJob = (value) => JSON.parse(value, BufferJSON.reviver);
+
+/**
+ * Job without its message content, for API responses
+ * @param {object} job
+ * @returns {object}
+ */
+function publicJob({ content, ...job }) {
+  return job;
+}
+
+/**
+ * Whether a request asked to queue the message (?queue=true or { queue: true })
+ * @param {object} req - Express request object
+ * @returns {boolean}
+ */
+function wantsQueue(req) {
+  if (SEND_QUEUE_MODE === 'always') return true;
+  const value = req.query.queue ?? req.body?.queue;
+  return value === true || value === 'true';
+}
+
+/**
+ * Adds a message to the outbound queue of a session
+ * @param {string} sessionId - Session identifier
+ * @param {object} options
+ * @param {string} options.chatId - Recipient JID
+ * @param {object} options.content - Baileys AnyMessageContent
+ * @param {string} options.type - Message type, for listings
+ * @param {number} [options.sendAt] - Do not send before this time (ms)
+ * @param {object} [options.meta] - Free data kept with the job, e.g. the broadcast it belongs to
+ * @param {string} [options.id] - Job id, generated if missing
+ * @param {string} [options.mediaId] - Media stored with storeSharedMedia, sent as the `type` field of `content`
+ * @returns {Promise<object>} Job (without content)
+ */
+async function enqueueMessage(sessionId, { chatId, content, type, sendAt, meta, id, mediaId }) {
+  const now = Date.now();
+  const job = {
+    id: id || crypto.randomUUID(),
+    sessionId,
+    chatId,
+    type,
+    preview: content.text ?? content.caption ?? null,
+    content,
+    status: 'queued',
+    attempts: 0,
+    createdAt: new Date(now).toISOString(),
+    sendAt: sendAt ? new Date(sendAt).toISOString() : null,
+    meta: meta || null,
+    mediaId: mediaId || null
+  };
+  await redisClient.multi()
+    .set(jobKey(sessionId, job.id), serializeJob(job))
+    .zAdd(pendingKey(sessionId), { score: Math.max(now, sendAt || 0), value: job.id })
+    .exec();
+
+  kickQueue(sessionId);
+  return publicJob(job);
+}
+
+/**
+ * Stores media that several jobs send (e.g. a broadcast) once, the jobs reference it with `mediaId`
+ * instead of carrying a copy each. It is kept until FINISHED_JOB_TTL_SECONDS after `sendAt`.
+ * @param {string} sessionId - Session identifier
+ * @param {Buffer} buffer - Media
+ * @param {number} [sendAt] - When the jobs are sent (ms), now if missing
+ * @returns {Promise<string>} Media id
+ */
+async function storeSharedMedia(sessionId, buffer, sendAt) {
+  const mediaId = crypto.randomUUID();
+  const ttl = Math.ceil(Math.max(0, (sendAt || 0) - Date.now()) / 1000) + FINISHED_JOB_TTL_SECONDS;
+  await redisClient.set(mediaKey(sessionId, mediaId), buffer.toString('base64'), { expiration: { type: 'EX', value: ttl } });
+  return mediaId;
+}
+
+/**
+ * Gets a job of a session
+ * @param {string} sessionId - Session identifier
+ * @param {string} jobId - Job identifier
+ * @returns {Promise<object|null>} Job (without content)
+ */
+async function getJob(sessionId, jobId) {
+  const stored = await redisClient.get(jobKey(sessionId, jobId));
+  return stored ? publicJob(deserializeJob(stored)) : null;
+}
+
+/**
+ * Lists the pending jobs of a session, in sending order
+ * @param {string} sessionId - Session identifier
+ * @returns {Promise<Array>} Jobs (without content)
+ */
+async function listQueue(sessionId) {
+  const ids = await redisClient.zRange(pendingKey(sessionId), 0, -1);
+  if (!ids.length) return [];
+  const stored = await redisClient.mGet(ids.map((id) => jobKey(sessionId, id)));
+  return stored.filter(Boolean).map((value) => publicJob(deserializeJob(value)));
+}
+
+/**
+ * Cancels a pending job
+ * @param {string} sessionId - Session identifier
+ * @param {string} jobId - Job identifier
+ * @returns {Promise<object|null>} Cancelled job, null if it is not pending
+ */
+async function cancelJob(sessionId, jobId) {
+  const removed = await redisClient.zRem(pendingKey(sessionId), jobId);
+  if (!removed) return null;
+  const stored = await redisClient.get(jobKey(sessionId, jobId));
+  if (!stored) return null;
+  const job = { ...deserializeJob(stored), status: 'cancelled', finishedAt: new Date().toISOString() };
+  await finishJob(sessionId, job);
+  return publicJob(job);
+}
+
+/**
+ * Stores a job that will not be sent again, it expires after FINISHED_JOB_TTL_SECONDS
+ */
+async function finishJob(sessionId, job) {
+  await redisClient.multi()
+    .zRem(pendingKey(sessionId), job.id)
+    .set(jobKey(sessionId, job.id), serializeJob(job), { expiration: { type: 'EX', value: FINISHED_JOB_TTL_SECONDS } })
+    .exec();
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * How long the worker must wait before sending to `chatId` to respect the rate limits
+ * @returns {number} Milliseconds, 0 if it can send now
+ */
+function rateLimitWait(worker, chatId, now) {
+  worker.sentTimestamps = worker.sentTimestamps.filter((ts) => now - ts < 60000);
+  let wait = 0;
+  if (worker.sentTimestamps.length >= QUEUE_SETTINGS.ratePerMinute) {
+    wait = worker.sentTimestamps[0] + 60000 - now;
+  }
+  // oldest first (re-inserted on every send): entries out of the spacing window no longer delay anything
+  for (const [jid, sentAt] of worker.lastSentTo) {
+    if (now - sentAt < QUEUE_SETTINGS.recipientSpacingMs) break;
+    worker.lastSentTo.delete(jid);
+  }
+  const lastSent = worker.lastSentTo.get(chatId);
+  if (lastSent) {
+    wait = Math.max(wait, lastSent + QUEUE_SETTINGS.recipientSpacingMs - now);
+  }
+  return Math.max(0, wait);
+}
+
+/**
+ * Message content of a job, with its shared media loaded or its media url downloaded
+ */
+async function jobContent(job) {
+  if (!job.mediaId) return withDownloadedMedia(job.content);
+  const media = await redisClient.get(mediaKey(job.sessionId, job.mediaId));
+  if (!media) throw new Error("Shared media expired");
+  return { ...job.content, [job.type]: Buffer.from(media, 'base64') };
+}
+
+/**
+ * Sends one job through the socket, simulating typing for text messages
+ */
+async function sendJob(sock, job) {
+  const content = await jobContent(job);
+  if (QUEUE_SETTINGS.typingSimulation && job.content.text) {
+    const typingMs = Math.min(500 + job.content.text.length * 50, 5000);
+    await sock.sendPresenceUpdate('composing', job.chatId);
+    await sleep(typingMs);
+    await sock.sendPresenceUpdate('paused', job.chatId);
+  }
+  return sock.sendMessage(job.chatId, content);
+}
+
+/**
+ * Processes the next due job of a session, then schedules the following run
+ */
+async function processQueue(sessionId) {
+  const worker = workers.get(sessionId);
+  if (!worker || worker.running) return;
+  worker.running = true;
+  worker.rerun = false;
+  let nextRunMs = 0;
+
+  try {
+    const session = worker.getSession();
+    if (!session) {
+      stopQueue(sessionId);
+      return;
+    }
+    if (session.store.state?.connection !== 'open') {
+      nextRunMs = DISCONNECTED_RETRY_MS;
+      return;
+    }
+
+    const now = Date.now();
+    const [jobId] = await redisClient.zRange(pendingKey(sessionId), 0, now, { BY: 'SCORE', LIMIT: { offset: 0, count: 1 } });
+    if (!jobId) {
+      // sleep until the next scheduled job, enqueueMessage wakes the worker up for new ones
+      const [next] = await redisClient.zRangeWithScores(pendingKey(sessionId), 0, 0);
+      nextRunMs = next ? Math.min(Math.max(0, next.score - now), IDLE_CHECK_MS) : IDLE_CHECK_MS;
+      return;
+    }
+
+    const stored = await redisClient.get(jobKey(sessionId, jobId));
+    if (!stored) {
+      await redisClient.zRem(pendingKey(sessionId), jobId);
+      return;
+    }
+    const job = deserializeJob(stored);
+
+    const wait = rateLimitWait(worker, job.chatId, now);
+    if (wait > 0) {
+      nextRunMs = wait;
+      return;
+    }
+    await sleep(Math.random() * QUEUE_SETTINGS.jitterMs);
+
+    // the job may have been cancelled while waiting
+    if (await redisClient.zScore(pendingKey(sessionId), jobId) === null) return;
+
+    job.attempts++;
+    try {
+      const result = await sendJob(session.sock, job);
+      worker.sentTimestamps.push(Date.now());
+      worker.lastSentTo.delete(job.chatId);
+      worker.lastSentTo.set(job.chatId, Date.now());
+
+      Object.assign(job, {
+        status: 'sent',
+        messageId: result.key.id,
+        messageTimestamp: Number(result.messageTimestamp),
+        finishedAt: new Date().toISOString()
+      });
+      await finishJob(sessionId, job);
+      logger.debug({ sessionId, jobId, messageId: job.messageId }, "Queued message sent");
+      // tracked before 'sent' is emitted, so its listeners find the status; a failure must not resend the message
+      await trackSentMessage(sessionId, { id: job.messageId, chatId: result.key.remoteJid, status: result.status }).catch((err) => {
+        logger.error({ sessionId, messageId: job.messageId, error: err }, "Failed to track queued message");
+      });
+      queueEvents.emit('sent', job);
+    } catch (err) {
+      job.error = err.message;
+      if (job.attempts >= MAX_ATTEMPTS) {
+        Object.assign(job, { status: 'failed', finishedAt: new Date().toISOString() });
+        await finishJob(sessionId, job);
+        logger.warn({ sessionId, jobId, error: err.message }, "Queued message failed");
+        queueEvents.emit('failed', job);
+      } else {
+        const retryAt = Date.now() + 5000 * Math.pow(2, job.attempts);
+        await redisClient.multi()
+          .set(jobKey(sessionId, jobId), serializeJob(job))
+          .zAdd(pendingKey(sessionId), { score: retryAt, value: jobId })
+          .exec();
+        logger.info({ sessionId, jobId, attempts: job.attempts, error: err.message }, "Queued message failed, retrying");
+      }
+    }
+  } catch (err) {
+    logger.error({ sessionId, error: err }, "Send queue crashed");
+    nextRunMs = DISCONNECTED_RETRY_MS;
+  } finally {
+    worker.running = false;
+    // a job added meanwhile may be due before the planned run
+    if (worker.rerun) nextRunMs = 0;
+    if (workers.has(sessionId)) scheduleRun(sessionId, nextRunMs);
+  }
+}
+
+function scheduleRun(sessionId, delay) {
+  const worker = workers.get(sessionId);
+  if (!worker) return;
+  clearTimeout(worker.timer);
+  worker.timer = setTimeout(() => processQueue(sessionId), delay);
+}
+
+/**
+ * Wakes up the worker of a session, e.g. after a job was added
+ * @param {string} sessionId - Session identifier
+ */
+function kickQueue(sessionId) {
+  const worker = workers.get(sessionId);
+  if (!worker) return;
+  if (worker.running) worker.rerun = true;
+  else scheduleRun(sessionId, 0);
+}
+
+/**
+ * Starts the queue worker of a session. Jobs pending in Redis are resumed.
+ * @param {string} sessionId - Session identifier
+ * @param {function} getSession - Returns the current session object ({ sock, store }), which changes on reconnection
+ */
+function startQueue(sessionId, getSession) {
+  if (workers.has(sessionId)) return;
+  workers.set(sessionId, { getSession, timer: null, running: false, rerun: false, sentTimestamps: [], lastSentTo: new Map() });
+  scheduleRun(sessionId, 0);
+}
+
+/**
+ * Stops the queue worker of a session. Pending jobs stay in Redis.
+ * @param {string} sessionId - Session identifier
+ */
+function stopQueue(sessionId) {
+  const worker = workers.get(sessionId);
+  if (!worker) return;
+  clearTimeout(worker.timer);
+  workers.delete(sessionId);
+}
+
+/**
+ * Stops the worker and drops every pending job of a session
+ * @param {string} sessionId - Session identifier
+ */
+async function clearQueue(sessionId) {
+  stopQueue(sessionId);
+  const ids = await redisClient.zRange(pendingKey(sessionId), 0, -1);
+  await redisClient.del([pendingKey(sessionId), ...ids.map((id) => jobKey(sessionId, id))]);
+  for await (const keys of redisClient.scanIterator({ MATCH: mediaKey(sessionId, '*'), COUNT: 500 })) {
+    if (keys.length) await redisClient.del(keys);
+  }
+}
+
+export {
+  QUEUE_SETTINGS,
+  queueEvents,
+  wantsQueue,
+  enqueueMessage,
+  storeSharedMedia,
+  getJob,
+  listQueue,
+  cancelJob,
+  startQueue,
+  stopQueue,
+  clearQueue
+};
@@ -8,64 +8,354 @@ import {
   createSession, 
   deleteSession,
   getActiveSessions,
+  isLoggedIn,
+  stopAllSessions,
   sessions,
   normalizeJid,
+  errorStatus,
   restoreSessionsFromRedis
 } from "./helpers.js";
+import { trackSentMessage, getMessageStatus } from './message_status.js'
+import { sessionEvents, getSessionStatus, getLastQr, countSessionStatuses } from './session_status.js'
+import { redisClient } from './use_redis_auth_state.js'
+import { renderMetrics } from './metrics.js'
+import { INSTANCE_ID, listInstances, isForwarded, fetchFromInstance } from './cluster.js'
+import { initSessionMetadata, updateSessionMetadata, getSessionMetadata } from './session_registry.js'
+import {
+  validateBroadcast,
+  createBroadcast,
+  getBroadcast,
+  listBroadcasts
+} from './broadcasts.js'
+import {
+  PARTICIPANT_ACTIONS,
+  formatGroupMetadata,
+  validateParticipants,
+  validateGroupUpdate
+} from './groups.js'
+import {
+  MAX_LABELS,
+  formatLabel,
+  listLabels,
+  findLabel,
+  findLabelByIdOrName,
+  chatLabelIds,
+  nextLabelId,
+  validateLabel
+} from './labels.js'
+import {
+  formatChatSummary,
+  parseChatListQuery,
+  matchesChatFilters,
+  lastMessageList,
+  validateMuteDuration,
+  muteEndTimestamp
+} from './chats.js'
+import { resolveJid, resolveGroupJid, invalidJidMessage } from './jids.js'
+import {
+  presenceEvents,
+  validatePresenceType,
+  isChatState,
+  subscribePresence,
+  getPresence
+} from './presence.js'
+import {
+  listContacts,
+  parsePaging,
+  validateNumbersToCheck,
+  checkNumbers,
+  getContactProfile
+} from './contacts.js'
+import {
+  validateChatMetadata,
+  getChatMetadata,
+  getAllChatMetadata,
+  updateChatMetadata
+} from './chat_metadata.js'
+import {
+  listWebhooks,
+  registerWebhook,
+  removeWebhook,
+  validateWebhook,
+  publicWebhook,
+  listDeadLetters,
+  redeliverDeadLetters
+} from './webhooks.js'
+import {
+  payloadType,
+  validateMessagePayload,
+  buildMessageContent,
+  parseTimestamp,
+  searchMessages,
+  normalizeMessage,
+  wantsSimpleFormat
+} from './messages.js'
+import { getMediaInfo, downloadMedia } from './media.js'
+import { withDownloadedMedia } from './media_urls.js'
+import {
+  QUEUE_SETTINGS,
+  wantsQueue,
+  enqueueMessage,
+  getJob,
+  listQueue,
+  cancelJob
+} from './send_queue.js'
+import {
+  SCHEDULED_STATUSES,
+  validateScheduledMessage,
+  scheduleMessage,
+  listScheduled,
+  getScheduled,
+  updateScheduled,
+  cancelScheduled
+} from './scheduled_messages.js'
 import {
   requireSession,
+  requireMessage,
+  requireSessionAccess,
+  forwardToSessionOwner,
   apiKeyAuth,
-  requestLogger
+  requirePermission,
+  requireAdmin,
+  requestLogger,
+  httpMetrics,
+  multipartBody
 } from './middlewares.js'
+import {
+  validateApiKey,
+  createApiKey,
+  listApiKeys,
+  revokeApiKey,
+  canAccessSession
+} from './api_keys.js'
 
 // ---------- Globals ----------
 const PORT = process.env.PORT || 3000;
+// Max request body size, media can be sent as base64 or multipart upload
+const BODY_LIMIT = process.env.BODY_LIMIT || '20mb';
+// How long a QR stream waits for the session to be linked
+const QR_STREAM_TIMEOUT_MS = Number(process.env.QR_STREAM_TIMEOUT_MS) || 180000;
+const QR_FORMATS = ['png', 'svg', 'terminal'];
+const MAX_MESSAGES_PAGE_SIZE = 500;
+// Bearer token required by /metrics, the admin api key is required if not set
+const METRICS_TOKEN = process.env.METRICS_TOKEN;
 
 // ---------- Express API ----------
 const app = express();
-app.use(express.json());
+// sessions connected by another instance are answered by it
+app.use(forwardToSessionOwner);
+app.use(express.json({ limit: BODY_LIMIT }));
 app.use(requestLogger);
+app.use(httpMetrics);
+
+/**
+ * GET /health
+ * Liveness / readiness probe, no api key required.
+ * 200 while Redis is reachable, 503 otherwise. `status` is "degraded" if some session is reconnecting or failed recently.
+ */
+app.get("/health", (req, res) => {
+  const counts = countSessionStatuses();
+  const redisReady = redisClient.isReady;
+  const status = !redisReady ? "unavailable" : (counts.failed || counts.reconnecting ? "degraded" : "ok");
+  res.status(redisReady ? 200 : 503).json({
+    status,
+    version,
+    instanceId: INSTANCE_ID,
+    uptimeSeconds: Math.floor(process.uptime()),
+    redis: redisReady ? "ready" : "disconnected",
+    sessions: { total: sessions.size, ...counts }
+  });
+});
+
+/**
+ * GET /metrics
+ * Prometheus metrics. Requires `Authorization: Bearer <METRICS_TOKEN>` if METRICS_TOKEN is set,
+ * otherwise the admin api key (registered after the authentication middleware).
+ */
+const sendMetrics = (req, res) => res.type('text/plain; version=0.0.4').send(renderMetrics(sessions));
+if (METRICS_TOKEN) {
+  app.get("/metrics", (req, res) => {
+    if (req.headers.authorization !== `Bearer ${METRICS_TOKEN}`) {
+      return res.status(401).json({ error: "Invalid metrics token" });
+    }
+    sendMetrics(req, res);
+  });
+}
 
 /*  AUTHENTICATION
  All requests should have x-api-key header with valid api key.
+ API_KEY is the admin key, it can access every session and create tenant keys (see /api-keys).
   */
 const API_KEY = process.env.API_KEY || "your-secure-api-key";
 app.use(apiKeyAuth(API_KEY));
 
+// GET /metrics without METRICS_TOKEN, see above
+if (!METRICS_TOKEN) app.get("/metrics", requireAdmin, sendMetrics);
+
+/*  CHAT IDS
+ Routes take :chatId as phone number (international or local format, see DEFAULT_COUNTRY_CODE), group id or JID,
+ resolved here to the canonical JID.
+  */
+app.param('chatId', (req, res, next, chatId) => {
+  const jid = resolveJid(chatId);
+  if (!jid) {
+    return res.status(400).json({ error: invalidJidMessage(chatId) });
+  }
+  req.params.chatId = jid;
+  next();
+});
+
+// :groupId is the group number or its @g.us JID
+app.param('groupId', (req, res, next, groupId) => {
+  const jid = resolveGroupJid(groupId);
+  if (!jid) {
+    return res.status(400).json({ error: `Invalid group id "${groupId}", expected the group number or its @g.us JID` });
+  }
+  req.params.groupId = jid;
+  next();
+});
+
 app.get("/", (req, res) => {
   res.json({ status: "SERVER RUNNING"})
 })
 
+/**
+ * POST /api-keys
+ * Creates a tenant api key. Admin only.
+ * Body: { name, sessions?: [sessionId], sessionPrefix?, permissions: ["read", "send", "manage"] }
+ * The key is only returned in this response.
+ */
+app.post("/api-keys", requireAdmin, async (req, res) => {
+  const { name, sessions, sessionPrefix, permissions } = req.body || {};
+
+  const validationError = validateApiKey({ name, sessions, sessionPrefix, permissions });
+  if (validationError) {
+    return res.status(400).json({ error: validationError });
+  }
+
+  try {
+    const apiKey = await createApiKey({ name, sessions, sessionPrefix, permissions });
+    res.status(201).json(apiKey);
+  } catch (err) {
+    logger.error({err}, 'Failed to create api key')
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * GET /api-keys
+ * Lists tenant api keys (without the keys). Admin only.
+ */
+app.get("/api-keys", requireAdmin, async (req, res) => {
+  try {
+    res.json(await listApiKeys());
+  } catch (err) {
+    logger.error({err}, 'Failed to list api keys')
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * DELETE /api-keys/:keyId
+ * Revokes a tenant api key. Admin only.
+ */
+app.delete("/api-keys/:keyId", requireAdmin, async (req, res) => {
+  try {
+    const revoked = await revokeApiKey(req.params.keyId);
+    if (!revoked) return res.status(404).json({ error: "Api key not found" });
+    res.json({ status: "revoked" });
+  } catch (err) {
+    logger.error({err}, 'Failed to revoke api key')
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * Session summary with its connection state and metadata
+ * @param {string} sessionId - Session identifier
+ * @returns {Promise<object>}
+ */
+async function sessionInfo(sessionId) {
+  const sock = sessions.get(sessionId)?.sock;
+  return {
+    id: sessionId,
+    isLoggedIn: isLoggedIn(sock),
+    user: sock?.user ? {
+      id: sock.user.id,
+      name: sock.user.name
+    } : null,
+    instanceId: INSTANCE_ID,
+    metadata: await getSessionMetadata(sessionId),
+    ...getSessionStatus(sessionId)
+  };
+}
+
+/**
+ * Validates a session label
+ * @param {any} label
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateSessionLabel(label) {
+  if (typeof label !== 'string' || label.length > 200) return "label must be a string of up to 200 characters";
+  return null;
+}
+
 /**
  * GET /sessions
- * Lists all active sessions.
- */
-app.get("/sessions", (req, res) => {
-  const activeSessions = getActiveSessions().map(sessionId => {
-    const { sock } = sessions.get(sessionId);
-    return {
-      id: sessionId,
-      isLoggedIn: !!sock.user,
-      user: sock.user ? {
-        id: sock.user.id,
-        name: sock.user.name
-      } : null
-    };
-  });
-  res.json(activeSessions);
+ * Lists all active sessions, including the ones connected by other instances.
+ * ?scope=local lists only the sessions of this instance.
+ */
+app.get("/sessions", requirePermission('read'), async (req, res) => {
+  const activeSessions = await Promise.all(getActiveSessions()
+    .filter(sessionId => canAccessSession(req.apiKey, sessionId))
+    .map(sessionInfo));
+  if (req.query.scope === 'local' || isForwarded(req)) {
+    return res.json(activeSessions);
+  }
+
+  const others = (await listInstances()).filter(({ id }) => id !== INSTANCE_ID);
+  const remoteSessions = await Promise.all(others.map(({ id, url }) =>
+    fetchFromInstance(req, url, '/sessions?scope=local').catch((err) => {
+      logger.warn({ instanceId: id, error: err.message }, 'Failed to list sessions of instance')
+      return [];
+    })
+  ));
+  res.json([...activeSessions, ...remoteSessions.flat()]);
 });
 
 /**
  * POST /sessions/:sessionId
  * Starts a new session (or resumes) and returns a QR code (PNG‑base64) if not yet authenticated.
+ * With { method: "code", phoneNumber } returns a pairing code to enter on the phone instead.
+ * An optional { label } is stored in the session metadata.
  * --
  */
-app.post("/sessions/:sessionId", async (req, res) => {
+app.post("/sessions/:sessionId", requirePermission('manage'), requireSessionAccess, async (req, res) => {
   const { sessionId } = req.params;
-  const { sock, store } = await createSession(sessionId);
+  const { method = 'qr', phoneNumber, label } = req.body || {};
+
+  if (!['qr', 'code'].includes(method)) {
+    return res.status(400).json({ error: 'method must be "qr" or "code"' });
+  }
+  const phoneDigits = String(phoneNumber ?? '').replace(/\D/g, '');
+  if (method === 'code' && (phoneDigits.length < 8 || phoneDigits.length > 15)) {
+    return res.status(400).json({ error: "phoneNumber with country code is required for the code method" });
+  }
+  const labelError = label === undefined ? null : validateSessionLabel(label);
+  if (labelError) return res.status(400).json({ error: labelError });
+
+  let session;
+  try {
+    session = await createSession(sessionId);
+  } catch (err) {
+    logger.error({err}, 'Failed to start session')
+    return res.status(errorStatus(err)).json({ error: err.message });
+  }
+  const { sock, store } = session;
+  await initSessionMetadata(sessionId, { tenant: req.apiKey.id, label });
 
   let isHealthy = false;
-  if (sock.user) {
+  if (isLoggedIn(sock)) {
     try {
       await store.chats.all(); // check if we can load chats
       isHealthy = true;
@@ -78,39 +368,158 @@ app.post("/sessions/:sessionId", async (req, res) => {
 
   if (isHealthy) {
     return res.json({ status: "already_logged_in" });
+  } else if (method === 'code') {
+    logger.info({ sessionId }, "Session needs authentication, requesting pairing code");
+    const { getPairingCode } = await createSession(sessionId);
+    try {
+      const code = await getPairingCode(phoneDigits);
+      return res.json({ status: "code", code, phoneNumber: phoneDigits });
+    } catch (err) {
+      logger.error({err}, 'Failed to request pairing code')
+      return res.status(errorStatus(err)).json({ error: err.message });
+    }
   } else {
     // Generate QR without deleting/recreating session to avoid race conditions
     logger.info({ sessionId }, "Session needs authentication, generating QR");
     const { getNewQr } = await createSession(sessionId);
-    const qrString = await getNewQr();
-    const qrPng = await qrcode.toDataURL(qrString);
-    return res.json({ status: "qr", qr: qrPng });
+    try {
+      const qrString = await getNewQr();
+      const qrPng = await qrcode.toDataURL(qrString);
+      return res.json({ status: "qr", qr: qrPng });
+    } catch (err) {
+      logger.error({err}, 'Failed to generate QR')
+      return res.status(errorStatus(err)).json({ error: err.message });
+    }
   }
 });
 
 /**
  * GET /sessions/:sessionId
- * Returns information about a specific session.
+ * Returns information about a specific session and its connection state.
+ * Sessions removed after being logged out or failing are reported for a while, or until they are started again.
  */
-app.get("/sessions/:sessionId", requireSession, (req, res) => {
+app.get("/sessions/:sessionId", requirePermission('read'), requireSessionAccess, async (req, res) => {
   const { sessionId } = req.params;
-  const { sock } = req.session;
+  const info = await sessionInfo(sessionId);
+  if (!sessions.has(sessionId) && !getSessionStatus(sessionId) && !info.metadata) {
+    return res.status(404).json({ error: "Session not found" });
+  }
+  res.json(info);
+});
 
-  res.json({
-    id: sessionId,
-    isLoggedIn: !!sock.user,
-    user: sock.user ? {
-      id: sock.user.id,
-      name: sock.user.name
-    } : null
+/**
+ * PATCH /sessions/:sessionId
+ * Updates the metadata of a session. Body: { label }
+ */
+app.patch("/sessions/:sessionId", requirePermission('manage'), requireSessionAccess, async (req, res) => {
+  const { sessionId } = req.params;
+  const { label } = req.body || {};
+  const error = validateSessionLabel(label);
+  if (error) return res.status(400).json({ error });
+
+  try {
+    if (!await getSessionMetadata(sessionId)) return res.status(404).json({ error: "Session not found" });
+    await updateSessionMetadata(sessionId, { label });
+    res.json(await sessionInfo(sessionId));
+  } catch (err) {
+    logger.error({err}, 'Failed to update session')
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * Renders a QR string as PNG data URL, SVG or text for terminals
+ * @param {string} qr - QR string from Baileys
+ * @param {string} format - One of QR_FORMATS
+ * @returns {Promise<string>}
+ */
+function renderQr(qr, format) {
+  if (format === 'svg') return qrcode.toString(qr, { type: 'svg' });
+  if (format === 'terminal') return qrcode.toString(qr, { type: 'terminal', small: true });
+  return qrcode.toDataURL(qr);
+}
+
+/**
+ * GET /sessions/:sessionId/qr/stream
+ * Server-Sent Events stream of the login QR codes of a session started with POST /sessions/:sessionId.
+ * Events: qr { qr, image } on every new QR, status { status } on state changes, then one of
+ * logged_in (already linked), connected, logged_out / failed, stopped / deleted or timeout, after which the stream ends.
+ * ?format=png (data URL, default), svg or terminal sets the `image` format.
+ */
+app.get("/sessions/:sessionId/qr/stream", requirePermission('manage'), requireSession, async (req, res) => {
+  const { sessionId } = req.params;
+  const { format = 'png' } = req.query;
+
+  if (!QR_FORMATS.includes(format)) {
+    return res.status(400).json({ error: `format must be one of: ${QR_FORMATS.join(', ')}` });
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no' // disable proxy buffering (nginx)
   });
+  res.flushHeaders();
+
+  const send = (event, data) => {
+    if (!res.writableEnded) res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  if (isLoggedIn(req.session.sock) && getSessionStatus(sessionId)?.status === 'open') {
+    send('logged_in', { sessionId });
+    return res.end();
+  }
+
+  const onQr = async ({ sessionId: id, qr }) => {
+    if (id !== sessionId) return;
+    try {
+      send('qr', { qr, image: await renderQr(qr, format) });
+    } catch (err) {
+      logger.error({err}, 'Failed to render QR')
+    }
+  };
+  const onStatus = ({ sessionId: id, status }) => {
+    if (id !== sessionId) return;
+    send('status', { status });
+    if (status === 'open') finish('connected', { sessionId });
+    if (status === 'logged_out' || status === 'failed') finish(status, { sessionId, lastDisconnect: getSessionStatus(sessionId)?.lastDisconnect });
+  };
+  // stopped (lease lost, shutdown) or deleted without a final status, it will not be linked here
+  const onRemoved = ({ sessionId: id, reason }) => {
+    if (id === sessionId) finish(reason, { sessionId });
+  };
+  const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), 15000);
+  const timeout = setTimeout(() => finish('timeout', { sessionId }), QR_STREAM_TIMEOUT_MS);
+
+  function cleanup() {
+    sessionEvents.off('qr', onQr);
+    sessionEvents.off('status', onStatus);
+    sessionEvents.off('removed', onRemoved);
+    clearInterval(heartbeat);
+    clearTimeout(timeout);
+  }
+  function finish(event, data) {
+    cleanup();
+    send(event, data);
+    res.end();
+  }
+
+  sessionEvents.on('qr', onQr);
+  sessionEvents.on('status', onStatus);
+  sessionEvents.on('removed', onRemoved);
+  req.on('close', cleanup);
+
+  // the current QR, new ones are pushed as WhatsApp rotates them
+  const lastQr = getLastQr(sessionId);
+  if (lastQr) await onQr({ sessionId, qr: lastQr });
 });
 
 /**
  * DELETE /sessions/:sessionId
  * Logs out & removes the session dir.
  */
-app.delete("/sessions/:sessionId", requireSession, async (req, res) => {
+app.delete("/sessions/:sessionId", requirePermission('manage'), requireSession, async (req, res) => {
   const { sessionId } = req.params;
   const { sock } = req.session;
   try {
@@ -124,30 +533,168 @@ app.delete("/sessions/:sessionId", requireSession, async (req, res) => {
 });
 
 /**
- * GET /sessions/:sessionId/chats
- * Lists recent chats with basic metadata.
+ * GET /sessions/:sessionId/webhooks
+ * Lists the webhooks registered for a session (secrets are not returned).
+ */
+app.get("/sessions/:sessionId/webhooks", requirePermission('manage'), requireSessionAccess, async (req, res) => {
+  const { sessionId } = req.params;
+  try {
+    const webhooks = await listWebhooks(sessionId);
+    res.json(webhooks.map(publicWebhook));
+  } catch (err) {
+    logger.error({err}, 'Failed to list webhooks')
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * POST /sessions/:sessionId/webhooks
+ * Registers a webhook that receives the session events.
+ * Body: { url, secret?, events?, format? }. The secret is only returned on creation.
+ */
+app.post("/sessions/:sessionId/webhooks", requirePermission('manage'), requireSessionAccess, async (req, res) => {
+  const { sessionId } = req.params;
+  const { url, secret, events, format } = req.body || {};
+
+  const validationError = validateWebhook({ url, secret, events, format });
+  if (validationError) {
+    return res.status(400).json({ error: validationError });
+  }
+
+  try {
+    const webhook = await registerWebhook(sessionId, { url, secret, events, format });
+    res.status(201).json(webhook);
+  } catch (err) {
+    logger.error({err}, 'Failed to register webhook')
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * GET /sessions/:sessionId/webhooks/dead-letters?limit=50
+ * Lists the deliveries that failed after all retries, newest first.
+ */
+app.get("/sessions/:sessionId/webhooks/dead-letters", requirePermission('manage'), requireSessionAccess, async (req, res) => {
+  const { sessionId } = req.params;
+  const limit = Number(req.query.limit) || 50;
+  try {
+    res.json(await listDeadLetters(sessionId, limit));
+  } catch (err) {
+    logger.error({err}, 'Failed to list webhook dead letters')
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * POST /sessions/:sessionId/webhooks/dead-letters/redeliver
+ * Retries every delivery in the dead-letter list.
+ */
+app.post("/sessions/:sessionId/webhooks/dead-letters/redeliver", requirePermission('manage'), requireSessionAccess, async (req, res) => {
+  const { sessionId } = req.params;
+  try {
+    const requeued = await redeliverDeadLetters(sessionId);
+    res.json({ status: "requeued", count: requeued });
+  } catch (err) {
+    logger.error({err}, 'Failed to redeliver webhook dead letters')
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * DELETE /sessions/:sessionId/webhooks/:webhookId
+ * Removes a webhook.
+ */
+app.delete("/sessions/:sessionId/webhooks/:webhookId", requirePermission('manage'), requireSessionAccess, async (req, res) => {
+  const { sessionId, webhookId } = req.params;
+  try {
+    const removed = await removeWebhook(sessionId, webhookId);
+    if (!removed) return res.status(404).json({ error: "Webhook not found" });
+    res.json({ status: "deleted" });
+  } catch (err) {
+    logger.error({err}, 'Failed to remove webhook')
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * GET /sessions/:sessionId/messages/search?q=&chatId=&from=&to=&limit=50
+ * Full-text search across the messages of all chats of a session, newest first.
+ * `chatId` can be repeated; `from` and `to` are ISO dates or unix seconds.
+ * Use ?format=simple for normalized messages.
+ */
+app.get("/sessions/:sessionId/messages/search", requirePermission('read'), requireSession, (req, res) => {
+  const { store, sock } = req.session;
+  const { q } = req.query;
+  const limit = Math.min(Number(req.query.limit) || 50, 500);
+
+  if (!q || !String(q).trim()) {
+    return res.status(400).json({ error: "Search query q is required" });
+  }
+  const from = parseTimestamp(req.query.from);
+  const to = parseTimestamp(req.query.to);
+  if (Number.isNaN(from) || Number.isNaN(to)) {
+    return res.status(400).json({ error: "from and to must be ISO dates or unix timestamps" });
+  }
+  const chatIdParams = [].concat(req.query.chatId || []).map(String);
+  const invalidChatId = chatIdParams.find((chatId) => !resolveJid(chatId));
+  if (invalidChatId !== undefined) {
+    return res.status(400).json({ error: invalidJidMessage(invalidChatId) });
+  }
+  const chatIds = chatIdParams.map(resolveJid);
+
+  const results = searchMessages(store, { q: String(q), chatIds, from, to, limit });
+  const messages = wantsSimpleFormat(req)
+    ? results.map((msg) => normalizeMessage(msg, sock.user?.id))
+    : results;
+  res.json({ messages, count: messages.length });
+});
+
+/**
+ * GET /sessions/:sessionId/chats?limit=50&offset=0
+ * Lists chats, most recent first. Every chat unless ?limit is given, then X-Total-Count holds the number of
+ * matching chats and X-Next-Cursor the query params for the next page, missing on the last page.
+ * Filters: ?unread=true|false, ?type=group|individual, ?archived=true|false, ?since=<ISO date or unix seconds>,
+ * ?q=<name>, ?label=<label id or name> (WhatsApp label) and ?tag=<tag> (CRM tag).
  */
-app.get("/sessions/:sessionId/chats", requireSession, (req, res) => {
+app.get("/sessions/:sessionId/chats", requirePermission('read'), requireSession, async (req, res) => {
+  const { sessionId } = req.params;
   const { store } = req.session;
-  const chats = store.chats
-    .all()
-    .map(({ id, name, unreadCount, conversationTimestamp }) => ({
-      id,
-      name,
-      unreadCount,
-      conversationTimestamp,
-    }))
-    .sort((a, b) => b.conversationTimestamp - a.conversationTimestamp);
-  res.json(chats);
+  const parsed = parseChatListQuery(req.query);
+  if (parsed.error) {
+    return res.status(400).json({ error: parsed.error });
+  }
+  const { limit, offset, filters } = parsed;
+
+  if (filters.label) {
+    filters.label = findLabelByIdOrName(store, filters.label)?.id;
+    if (!filters.label) return res.status(404).json({ error: "Label not found" });
+  }
+
+  try {
+    const metadata = await getAllChatMetadata(sessionId);
+    const chats = store.chats
+      .all()
+      .map((chat) => formatChatSummary(chat, chatLabelIds(store, chat.id), metadata.get(chat.id)))
+      .filter((chat) => matchesChatFilters(chat, filters))
+      .sort((a, b) => (b.conversationTimestamp || 0) - (a.conversationTimestamp || 0));
+    res.set('X-Total-Count', String(chats.length));
+    if (offset + limit < chats.length) {
+      res.set('X-Next-Cursor', new URLSearchParams({ offset: offset + limit, limit }).toString());
+    }
+    res.json(chats.slice(offset, offset + limit));
+  } catch (err) {
+    logger.error({err}, 'Failed to list chats')
+    res.status(500).json({ error: err.message });
+  }
 });
 
 /**
  * GET /sessions/:sessionId/chats/:chatId
  * Returns details of a single chat (not including messages).
  */
-app.get("/sessions/:sessionId/chats/:chatId", requireSession, (req, res) => {
+app.get("/sessions/:sessionId/chats/:chatId", requirePermission('read'), requireSession, async (req, res) => {
   const { store, sock } = req.session;
-  const { chatId } = req.params;
+  const { sessionId, chatId } = req.params;
 
   // Get the chat from the store
   const chat = store.chats.get(chatId);
@@ -156,16 +703,10 @@ app.get("/sessions/:sessionId/chats/:chatId", requireSession, (req, res) => {
     return res.status(404).json({ error: "Chat not found" });
   }
 
-  /*
-  const labelAssociations = req.session.store.getChatLabels(chatId) || [];
-  const labels = labelAssociations.map((assoc) => {
-    const label = req.session.store.labels.get(assoc.labelId);
-    if (label) {
-      return {name: label.name, color: label.color ?? null};
-    }
-  });
-   */
-  const labels = [];
+  const labels = chatLabelIds(store, chatId)
+    .map((labelId) => findLabel(store, labelId))
+    .filter(Boolean)
+    .map(formatLabel);
 
   // Check if this is a self-chat (chat with myself)
   const isMe = sock.user && normalizeJid(chatId) === normalizeJid(sock.user.id);
@@ -183,146 +724,1151 @@ app.get("/sessions/:sessionId/chats/:chatId", requireSession, (req, res) => {
     mute: chat.mute,
     pin: chat.pin,
     isMe: isMe,
-    labels: labels
+    labels: labels,
+    metadata: await getChatMetadata(sessionId, chatId)
   });
 });
 
-
+/**
+ * GET /sessions/:sessionId/chats/:chatId/metadata
+ * Returns our CRM data of a chat: { assignedTeacher, studentId, tags, notes, updatedAt }
+ */
+app.get("/sessions/:sessionId/chats/:chatId/metadata", requirePermission('read'), requireSessionAccess, async (req, res) => {
+  const { sessionId, chatId } = req.params;
+  try {
+    res.json(await getChatMetadata(sessionId, chatId));
+  } catch (err) {
+    logger.error({err}, 'Failed to get chat metadata')
+    res.status(500).json({ error: err.message });
+  }
+});
 
 /**
- * GET /sessions/:sessionId/chats/:chatId/messages?limit=50
- * Returns the most recent N messages from a chat.
+ * PATCH /sessions/:sessionId/chats/:chatId/metadata
+ * Updates the CRM data of a chat. Body: { assignedTeacher?, studentId?, tags?, notes? }, null clears a field.
  */
-app.get("/sessions/:sessionId/chats/:chatId/messages", requireSession, async (req, res) => {
-  const { store } = req.session;
-  const { chatId } = req.params;
-  const limit = Number(req.query.limit) || 50;
+app.patch("/sessions/:sessionId/chats/:chatId/metadata", requirePermission('send'), requireSessionAccess, async (req, res) => {
+  const { sessionId, chatId } = req.params;
+  const validationError = validateChatMetadata(req.body);
+  if (validationError) {
+    return res.status(400).json({ error: validationError });
+  }
+
+  const { assignedTeacher, studentId, tags, notes } = req.body;
   try {
-    // Pass a cursor with 'before' property set to undefined to get the most recent messages
-    const msgs = await store.loadMessages(chatId, limit, { before: undefined });
-    res.json(msgs);
+    const metadata = await updateChatMetadata(sessionId, chatId, { assignedTeacher, studentId, tags, notes });
+    res.json(metadata);
   } catch (err) {
-    logger.error({err}, 'Failed to load messages')
+    logger.error({err}, 'Failed to update chat metadata')
     res.status(500).json({ error: err.message });
   }
 });
 
 /**
- * GET /sessions/:sessionId/chats/:chatId/contact
- * Returns contact information for the chat ID (for individual or group participants).
- * Includes profilePicThumbObj, name, pushname, verifiedName, and shortName.
- * Uses Baileys methods to fetch additional contact details.
+ * POST /sessions/:sessionId/chats/:chatId/labels
+ * Adds a WhatsApp Business label to a chat. Body: { labelId }
  */
-app.get("/sessions/:sessionId/chats/:chatId/contact", requireSession, async (req, res) => {
-  const { store, sock } = req.session;
+app.post("/sessions/:sessionId/chats/:chatId/labels", requirePermission('send'), requireSession, async (req, res) => {
+  const { sock, store } = req.session;
   const { chatId } = req.params;
+  const label = findLabel(store, req.body?.labelId ?? '');
+  if (!label) return res.status(404).json({ error: "Label not found" });
 
   try {
-    // Get basic contact info from store
-    let contact = store.contacts[chatId];
-    if (!contact) return res.status(404).json({ error: "Contact not found" });
+    await sock.addChatLabel(chatId, label.id);
+    res.json({ status: "added", chatId, labelId: label.id });
+  } catch (err) {
+    logger.error({err}, 'Failed to add chat label')
+    res.status(errorStatus(err)).json({ error: err.message });
+  }
+});
 
-    // Try to get chat info which might have more details
-    const chat = store.chats.get(chatId);
+/**
+ * DELETE /sessions/:sessionId/chats/:chatId/labels/:labelId
+ * Removes a WhatsApp Business label from a chat.
+ */
+app.delete("/sessions/:sessionId/chats/:chatId/labels/:labelId", requirePermission('send'), requireSession, async (req, res) => {
+  const { sock } = req.session;
+  const { chatId, labelId } = req.params;
+  try {
+    await sock.removeChatLabel(chatId, labelId);
+    res.json({ status: "removed", chatId, labelId });
+  } catch (err) {
+    logger.error({err}, 'Failed to remove chat label')
+    res.status(errorStatus(err)).json({ error: err.message });
+  }
+});
 
-    // Use Baileys to fetch additional contact information
-    let profilePic = null;
-    try {
-      // Try to fetch profile picture URL
-      profilePic = await sock.profilePictureUrl(chatId, 'image');
-    } catch (e) {
-      logger.info({ error: e.message }, 'Failed to fetch profile picture');
-    }
 
-    // Try to fetch contact status
-    let status = null;
-    try {
-      status = await sock.fetchStatus(chatId);
-    } catch (e) {
-      logger.info({ error: e.message }, 'Failed to fetch status');
-    }
 
-    // Try to fetch business profile for business accounts
-    let businessProfile = null;
-    try {
-      businessProfile = await sock.getBusinessProfile(chatId);
-    } catch (e) {
-      logger.info({ error: e.message }, 'Failed to fetch business profile');
-    }
+/**
+ * GET /sessions/:sessionId/chats/:chatId/messages?limit=50&before=<messageId>&fromMe=false
+ * Returns N messages from a chat, oldest first: the most recent ones, the ones before
+ * the `before` message or the ones after the `after` message.
+ * The X-Next-Cursor header holds the query params for the next page, missing when there are no more messages.
+ * Use ?format=simple for normalized messages.
+ */
+app.get("/sessions/:sessionId/chats/:chatId/messages", requirePermission('read'), requireSession, async (req, res) => {
+  const { store, sock } = req.session;
+  const { chatId } = req.params;
+  const { before, after, fromMe } = req.query;
+  const limit = req.query.limit === undefined ? 50 : Number(req.query.limit);
 
-    // Check if the number is registered on WhatsApp
-    let isOnWhatsApp = false;
-    try {
-      const [result] = await sock.onWhatsApp(chatId.split('@')[0]);
-      isOnWhatsApp = result?.exists || false;
-    } catch (e) {
-      logger.info({ error: e.message }, 'Failed to check if number is on WhatsApp');
-    }
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_MESSAGES_PAGE_SIZE) {
+    return res.status(400).json({ error: `limit must be a number from 1 to ${MAX_MESSAGES_PAGE_SIZE}` });
+  }
+  if (before && after) {
+    return res.status(400).json({ error: "Use either before or after, not both" });
+  }
+  const cursorKey = { id: before || after, fromMe: fromMe === undefined ? undefined : fromMe === 'true' };
+  const cursor = before ? { before: cursorKey } : after ? { after: cursorKey } : undefined;
 
-    // Create enhanced contact with all required fields
-    const enhancedContact = {
-      ...contact,
-      // Use chat name if contact name is not available
-      name: contact.name || (chat ? chat.name : null),
-      // Use notify as pushname if not available
-      pushname: contact.pushname || contact.notify || null,
-      // Use name or notify for these fields if not available
-      verifiedName: contact.verifiedName,
-      shortName: contact.shortName,
-      // Ensure profilePicThumbObj is included with proper structure
-      profilePicThumbObj: contact.profilePicThumbObj || (profilePic ? {
-        eurl: profilePic,
-        url: profilePic,
-        tag: "0",
-        id: chatId
-      } : null),
-      // Add additional information from Baileys
-      status: status ? status.status : null,
-      lastSeen: status ? status.lastSeen : null,
-      // Add business profile information if available
-      businessProfile: businessProfile || null,
-      // Add WhatsApp registration status
-      isOnWhatsApp: isOnWhatsApp
-    };
+  try {
+    const msgs = await store.loadMessages(chatId, limit, cursor);
+    if (!msgs) return res.status(404).json({ error: "Cursor message not found" });
 
-    res.json(enhancedContact);
+    // paging forward continues after the newest message, otherwise before the oldest one
+    if (msgs.length === limit) {
+      const edge = after ? msgs[msgs.length - 1] : msgs[0];
+      const nextCursor = { [after ? 'after' : 'before']: edge.key.id, fromMe: !!edge.key.fromMe };
+      res.set('X-Next-Cursor', new URLSearchParams(nextCursor).toString());
+    }
+
+    const messages = wantsSimpleFormat(req)
+      ? msgs.map((msg) => normalizeMessage(msg, sock.user?.id))
+      : msgs;
+    res.json(messages);
   } catch (err) {
+    logger.error({err}, 'Failed to load messages')
     res.status(500).json({ error: err.message });
   }
 });
 
 /**
- * POST /sessions/:sessionId/chats/:chatId/messages
- * Sends a new message to a chat.
+ * GET /sessions/:sessionId/chats/:chatId/messages/:messageId/media
+ * Downloads and decrypts the media (image, video, audio, document, sticker) of a message.
  */
-app.post("/sessions/:sessionId/chats/:chatId/messages", requireSession, async (req, res) => {
+app.get("/sessions/:sessionId/chats/:chatId/messages/:messageId/media", requirePermission('read'), requireSession, requireMessage, async (req, res) => {
+  const { sessionId } = req.params;
   const { sock } = req.session;
-  const { chatId } = req.params;
-  const { text } = req.body;
+  const msg = req.message;
 
-  if (!text) {
-    return res.status(400).json({ error: "Message text is required" });
+  const media = getMediaInfo(msg);
+  if (!media) {
+    return res.status(400).json({ error: "Message has no media" });
   }
 
   try {
-    // Send the message
-    const result = await sock.sendMessage(chatId, { text });
-
-    // Return the message ID and other relevant information
-    res.status(201).json({
-      status: "sent",
-      messageId: result.key.id,
-      timestamp: result.messageTimestamp,
-      message: text
-    });
+    const data = await downloadMedia(sessionId, sock, msg);
+    res.attachment(media.fileName);
+    res.type(media.mimetype);
+    if (Buffer.isBuffer(data)) {
+      res.send(data);
+    } else {
+      data.on('error', (err) => {
+        logger.error({err}, 'Failed to stream media')
+        res.destroy(err);
+      });
+      data.pipe(res);
+    }
   } catch (err) {
-    logger.error({err}, 'Failed to send message')
+    logger.error({err}, 'Failed to download media')
     res.status(500).json({ error: err.message });
   }
 });
 
-// Restore sessions from Redis before starting the server
-(async () => {
+/**
+ * GET /sessions/:sessionId/chats/:chatId/messages/:messageId/status
+ * Returns when a message sent through the API was acked by the server, delivered, read and played.
+ * For groups includes the receipts of each participant.
+ */
+app.get("/sessions/:sessionId/chats/:chatId/messages/:messageId/status", requirePermission('read'), requireSession, async (req, res) => {
+  const { sessionId, chatId, messageId } = req.params;
+  try {
+    const status = await getMessageStatus(sessionId, messageId);
+    if (!status || status.chatId !== chatId) {
+      return res.status(404).json({ error: "Message not found or not sent through the API" });
+    }
+    res.json(status);
+  } catch (err) {
+    logger.error({err}, 'Failed to get message status')
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * GET /sessions/:sessionId/chats/:chatId/contact
+ * Returns contact information for the chat ID (for individual or group participants): the contact of the store,
+ * if any, with its profile picture, status and business profile, cached for CONTACT_PROFILE_CACHE_SECONDS.
+ * ?refresh=true skips the cache.
+ */
+app.get("/sessions/:sessionId/chats/:chatId/contact", requirePermission('read'), requireSession, async (req, res) => {
+  const { store, sock } = req.session;
+  const { sessionId, chatId } = req.params;
+
+  try {
+    const contact = store.contacts[chatId] || { id: chatId };
+    const chat = store.chats.get(chatId);
+    const profile = await getContactProfile(sessionId, sock, chatId, { refresh: req.query.refresh === 'true' });
+
+    res.json({
+      ...contact,
+      // Use chat name if contact name is not available
+      name: contact.name || (chat ? chat.name : null),
+      pushname: contact.pushname || contact.notify || null,
+      verifiedName: contact.verifiedName,
+      shortName: contact.shortName,
+      profilePicThumbObj: contact.profilePicThumbObj || (profile.profilePictureUrl ? {
+        eurl: profile.profilePictureUrl,
+        url: profile.profilePictureUrl,
+        tag: "0",
+        id: chatId
+      } : null),
+      status: profile.status,
+      statusSetAt: profile.statusSetAt,
+      businessProfile: profile.businessProfile,
+      isOnWhatsApp: profile.isOnWhatsApp,
+      inStore: !!store.contacts[chatId]
+    });
+  } catch (err) {
+    logger.error({err}, 'Failed to get contact')
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * GET /sessions/:sessionId/contacts?q=&limit=50&offset=0
+ * Lists the contacts of the session by name. ?q searches names and numbers.
+ * `nextCursor` holds the query params for the next page, null on the last page.
+ */
+app.get("/sessions/:sessionId/contacts", requirePermission('read'), requireSession, (req, res) => {
+  const { store } = req.session;
+  const paging = parsePaging(req.query);
+  if (paging.error) {
+    return res.status(400).json({ error: paging.error });
+  }
+  const q = req.query.q ? String(req.query.q) : undefined;
+  res.json(listContacts(store, { q, ...paging }));
+});
+
+/**
+ * POST /sessions/:sessionId/contacts/check
+ * Checks which phone numbers have WhatsApp. Body: { numbers: [phone numbers with country code] }, up to 500.
+ */
+app.post("/sessions/:sessionId/contacts/check", requirePermission('read'), requireSession, async (req, res) => {
+  const { sock } = req.session;
+  const { numbers } = req.body || {};
+  const validationError = validateNumbersToCheck(numbers);
+  if (validationError) {
+    return res.status(400).json({ error: validationError });
+  }
+
+  try {
+    const results = await checkNumbers(sock, numbers);
+    res.json({ results, count: results.length, existing: results.filter(({ exists }) => exists).length });
+  } catch (err) {
+    logger.error({err}, 'Failed to check numbers')
+    res.status(errorStatus(err)).json({ error: err.message });
+  }
+});
+
+/**
+ * Responds with a message sent through the socket, normalized with ?format=simple
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @param {object} result - Message returned by sock.sendMessage
+ * @param {object} body - Send payload
+ */
+function sentResponse(req, res, result, body) {
+  if (wantsSimpleFormat(req)) {
+    return res.status(201).json({
+      status: "sent",
+      messageId: result.key.id,
+      ...normalizeMessage(result, req.session.sock.user?.id)
+    });
+  }
+
+  // Return the message ID and other relevant information
+  res.status(201).json({
+    status: "sent",
+    messageId: result.key.id,
+    timestamp: result.messageTimestamp,
+    type: payloadType(body, req.file),
+    message: body.text ?? body.caption ?? null
+  });
+}
+
+/**
+ * POST /sessions/:sessionId/chats/:chatId/messages
+ * Sends a new message to a chat.
+ * Accepts JSON ({ text } or a typed payload, see README) or a multipart upload with a `file` field.
+ * Use ?format=simple to get the sent message normalized.
+ * With ?queue=true the message goes through the rate limited send queue and 202 is returned with the job.
+ */
+app.post("/sessions/:sessionId/chats/:chatId/messages", requirePermission('send'), requireSession, multipartBody({ limit: BODY_LIMIT }), async (req, res) => {
+  const { sock } = req.session;
+  const { sessionId, chatId } = req.params;
+  const body = req.body || {};
+
+  const validationError = validateMessagePayload(body, req.file);
+  if (validationError) {
+    return res.status(400).json({ error: validationError });
+  }
+
+  if (wantsQueue(req)) {
+    try {
+      const job = await enqueueMessage(sessionId, {
+        chatId,
+        content: buildMessageContent(body, req.file),
+        type: payloadType(body, req.file)
+      });
+      return res.status(202).json({ status: "queued", jobId: job.id, job });
+    } catch (err) {
+      logger.error({err}, 'Failed to queue message')
+      return res.status(500).json({ error: err.message });
+    }
+  }
+
+  try {
+    // Send the message
+    const result = await sock.sendMessage(chatId, await withDownloadedMedia(buildMessageContent(body, req.file)));
+    await trackSentMessage(sessionId, { id: result.key.id, chatId: result.key.remoteJid, status: result.status }).catch((err) => {
+      logger.error({ sessionId, messageId: result.key.id, error: err }, "Failed to track sent message");
+    });
+
+    sentResponse(req, res, result, body);
+  } catch (err) {
+    logger.error({err}, 'Failed to send message')
+    res.status(errorStatus(err)).json({ error: err.message });
+  }
+});
+
+/**
+ * POST /sessions/:sessionId/chats/:chatId/messages/:messageId/reply
+ * Sends a message quoting another one. Accepts the same payloads as POST .../messages.
+ */
+app.post("/sessions/:sessionId/chats/:chatId/messages/:messageId/reply", requirePermission('send'), requireSession, requireMessage, multipartBody({ limit: BODY_LIMIT }), async (req, res) => {
+  const { sock } = req.session;
+  const { sessionId, chatId } = req.params;
+  const body = req.body || {};
+
+  const validationError = validateMessagePayload(body, req.file);
+  if (validationError) {
+    return res.status(400).json({ error: validationError });
+  }
+
+  try {
+    const result = await sock.sendMessage(chatId, await withDownloadedMedia(buildMessageContent(body, req.file)), { quoted: req.message });
+    await trackSentMessage(sessionId, { id: result.key.id, chatId: result.key.remoteJid, status: result.status }).catch((err) => {
+      logger.error({ sessionId, messageId: result.key.id, error: err }, "Failed to track sent message");
+    });
+    sentResponse(req, res, result, body);
+  } catch (err) {
+    logger.error({err}, 'Failed to send reply')
+    res.status(errorStatus(err)).json({ error: err.message });
+  }
+});
+
+/**
+ * POST /sessions/:sessionId/chats/:chatId/messages/:messageId/reactions
+ * Reacts to a message. Body: { emoji }. Replaces a previous reaction of the session.
+ */
+app.post("/sessions/:sessionId/chats/:chatId/messages/:messageId/reactions", requirePermission('send'), requireSession, requireMessage, async (req, res) => {
+  const { sock } = req.session;
+  const { chatId } = req.params;
+  const { emoji } = req.body || {};
+
+  if (!emoji || typeof emoji !== 'string') {
+    return res.status(400).json({ error: "emoji is required" });
+  }
+
+  try {
+    const result = await sock.sendMessage(chatId, { react: { text: emoji, key: req.message.key } });
+    res.status(201).json({ status: "sent", messageId: result.key.id, emoji });
+  } catch (err) {
+    logger.error({err}, 'Failed to react to message')
+    res.status(errorStatus(err)).json({ error: err.message });
+  }
+});
+
+/**
+ * DELETE /sessions/:sessionId/chats/:chatId/messages/:messageId/reactions
+ * Removes the reaction of the session to a message.
+ */
+app.delete("/sessions/:sessionId/chats/:chatId/messages/:messageId/reactions", requirePermission('send'), requireSession, requireMessage, async (req, res) => {
+  const { sock } = req.session;
+  const { chatId } = req.params;
+  try {
+    const result = await sock.sendMessage(chatId, { react: { text: '', key: req.message.key } });
+    res.json({ status: "removed", messageId: result.key.id });
+  } catch (err) {
+    logger.error({err}, 'Failed to remove reaction')
+    res.status(errorStatus(err)).json({ error: err.message });
+  }
+});
+
+/**
+ * POST /sessions/:sessionId/chats/:chatId/messages/:messageId/labels
+ * Adds a WhatsApp Business label to a message. Body: { labelId }
+ */
+app.post("/sessions/:sessionId/chats/:chatId/messages/:messageId/labels", requirePermission('send'), requireSession, requireMessage, async (req, res) => {
+  const { sock, store } = req.session;
+  const { chatId, messageId } = req.params;
+  const label = findLabel(store, req.body?.labelId ?? '');
+  if (!label) return res.status(404).json({ error: "Label not found" });
+
+  try {
+    await sock.addMessageLabel(chatId, messageId, label.id);
+    res.json({ status: "added", messageId, labelId: label.id });
+  } catch (err) {
+    logger.error({err}, 'Failed to add message label')
+    res.status(errorStatus(err)).json({ error: err.message });
+  }
+});
+
+/**
+ * DELETE /sessions/:sessionId/chats/:chatId/messages/:messageId/labels/:labelId
+ * Removes a WhatsApp Business label from a message.
+ */
+app.delete("/sessions/:sessionId/chats/:chatId/messages/:messageId/labels/:labelId", requirePermission('send'), requireSession, requireMessage, async (req, res) => {
+  const { sock } = req.session;
+  const { chatId, messageId, labelId } = req.params;
+  try {
+    await sock.removeMessageLabel(chatId, messageId, labelId);
+    res.json({ status: "removed", messageId, labelId });
+  } catch (err) {
+    logger.error({err}, 'Failed to remove message label')
+    res.status(errorStatus(err)).json({ error: err.message });
+  }
+});
+
+/**
+ * PATCH /sessions/:sessionId/chats/:chatId/messages/:messageId
+ * Edits the text of a message sent by the session. Body: { text }
+ */
+app.patch("/sessions/:sessionId/chats/:chatId/messages/:messageId", requirePermission('send'), requireSession, requireMessage, async (req, res) => {
+  const { sock } = req.session;
+  const { chatId } = req.params;
+  const { text } = req.body || {};
+
+  if (!text || typeof text !== 'string') {
+    return res.status(400).json({ error: "text is required" });
+  }
+  if (!req.message.key.fromMe) {
+    return res.status(403).json({ error: "Only messages sent by this session can be edited" });
+  }
+
+  try {
+    const result = await sock.sendMessage(chatId, { text, edit: req.message.key });
+    res.json({ status: "edited", messageId: req.message.key.id, editMessageId: result.key.id, text });
+  } catch (err) {
+    logger.error({err}, 'Failed to edit message')
+    res.status(errorStatus(err)).json({ error: err.message });
+  }
+});
+
+/**
+ * DELETE /sessions/:sessionId/chats/:chatId/messages/:messageId
+ * Deletes a message for everyone. Messages of other participants can only be deleted by group admins.
+ */
+app.delete("/sessions/:sessionId/chats/:chatId/messages/:messageId", requirePermission('send'), requireSession, requireMessage, async (req, res) => {
+  const { sock } = req.session;
+  const { chatId } = req.params;
+  try {
+    await sock.sendMessage(chatId, { delete: req.message.key });
+    res.json({ status: "deleted", messageId: req.message.key.id });
+  } catch (err) {
+    logger.error({err}, 'Failed to delete message')
+    res.status(errorStatus(err)).json({ error: err.message });
+  }
+});
+
+/**
+ * POST /sessions/:sessionId/chats/:chatId/messages/:messageId/forward
+ * Forwards a message to another chat. Body: { to } phone number or JID
+ */
+app.post("/sessions/:sessionId/chats/:chatId/messages/:messageId/forward", requirePermission('send'), requireSession, requireMessage, async (req, res) => {
+  const { sock } = req.session;
+  const { sessionId } = req.params;
+  const { to } = req.body || {};
+
+  if (!to) {
+    return res.status(400).json({ error: "to is required" });
+  }
+  const toJid = resolveJid(to);
+  if (!toJid) {
+    return res.status(400).json({ error: invalidJidMessage(to) });
+  }
+
+  try {
+    const result = await sock.sendMessage(toJid, { forward: req.message });
+    await trackSentMessage(sessionId, { id: result.key.id, chatId: result.key.remoteJid, status: result.status }).catch((err) => {
+      logger.error({ sessionId, messageId: result.key.id, error: err }, "Failed to track sent message");
+    });
+    res.status(201).json({ status: "sent", messageId: result.key.id, chatId: result.key.remoteJid });
+  } catch (err) {
+    logger.error({err}, 'Failed to forward message')
+    res.status(errorStatus(err)).json({ error: err.message });
+  }
+});
+
+/**
+ * POST /sessions/:sessionId/chats/:chatId/read
+ * Marks the unread messages of a chat as read (sends read receipts).
+ */
+app.post("/sessions/:sessionId/chats/:chatId/read", requirePermission('send'), requireSession, async (req, res) => {
+  const { sock, store } = req.session;
+  const { chatId } = req.params;
+
+  const chat = store.chats.get(chatId);
+  if (!chat) {
+    return res.status(404).json({ error: "Chat not found" });
+  }
+
+  try {
+    const count = Math.max(chat.unreadCount || 0, 1);
+    const keys = (await store.loadMessages(chatId, count))
+      .filter((msg) => !msg.key.fromMe)
+      .map((msg) => msg.key);
+    if (keys.length) await sock.readMessages(keys);
+    // chats marked as unread keep the mark until marked read
+    if (chat.unreadCount < 0) await sock.chatModify({ markRead: true, lastMessages: lastMessageList(store, chatId) }, chatId);
+    res.json({ status: "read", chatId, count: keys.length });
+  } catch (err) {
+    logger.error({err}, 'Failed to mark chat as read')
+    res.status(errorStatus(err)).json({ error: err.message });
+  }
+});
+
+/**
+ * Changes a chat with sock.chatModify and answers { status, chatId }
+ * @param {object} req - Express request object, with the session and the chat
+ * @param {object} res - Express response object
+ * @param {object} modification - Baileys ChatModification
+ * @param {string} status - Status to answer
+ */
+async function modifyChat(req, res, modification, status) {
+  const { sock, store } = req.session;
+  const { chatId } = req.params;
+  if (!store.chats.get(chatId)) {
+    return res.status(404).json({ error: "Chat not found" });
+  }
+  try {
+    await sock.chatModify(modification, chatId);
+    res.json({ status, chatId });
+  } catch (err) {
+    logger.error({err, status}, 'Failed to modify chat')
+    res.status(errorStatus(err)).json({ error: err.message });
+  }
+}
+
+/**
+ * POST /sessions/:sessionId/chats/:chatId/unread
+ * Marks a chat as unread.
+ */
+app.post("/sessions/:sessionId/chats/:chatId/unread", requirePermission('send'), requireSession, (req, res) =>
+  modifyChat(req, res, { markRead: false, lastMessages: lastMessageList(req.session.store, req.params.chatId) }, "unread"));
+
+/**
+ * POST /sessions/:sessionId/chats/:chatId/archive
+ * Archives a chat.
+ */
+app.post("/sessions/:sessionId/chats/:chatId/archive", requirePermission('send'), requireSession, (req, res) =>
+  modifyChat(req, res, { archive: true, lastMessages: lastMessageList(req.session.store, req.params.chatId) }, "archived"));
+
+/**
+ * DELETE /sessions/:sessionId/chats/:chatId/archive
+ * Unarchives a chat.
+ */
+app.delete("/sessions/:sessionId/chats/:chatId/archive", requirePermission('send'), requireSession, (req, res) =>
+  modifyChat(req, res, { archive: false, lastMessages: lastMessageList(req.session.store, req.params.chatId) }, "unarchived"));
+
+/**
+ * POST /sessions/:sessionId/chats/:chatId/mute
+ * Mutes a chat. Body: { durationSeconds? }, muted until unmuted if missing.
+ */
+app.post("/sessions/:sessionId/chats/:chatId/mute", requirePermission('send'), requireSession, (req, res) => {
+  const { durationSeconds } = req.body || {};
+  const validationError = validateMuteDuration(durationSeconds);
+  if (validationError) {
+    return res.status(400).json({ error: validationError });
+  }
+  return modifyChat(req, res, { mute: muteEndTimestamp(durationSeconds) }, "muted");
+});
+
+/**
+ * DELETE /sessions/:sessionId/chats/:chatId/mute
+ * Unmutes a chat.
+ */
+app.delete("/sessions/:sessionId/chats/:chatId/mute", requirePermission('send'), requireSession, (req, res) =>
+  modifyChat(req, res, { mute: null }, "unmuted"));
+
+/**
+ * POST /sessions/:sessionId/chats/:chatId/pin
+ * Pins a chat.
+ */
+app.post("/sessions/:sessionId/chats/:chatId/pin", requirePermission('send'), requireSession, (req, res) =>
+  modifyChat(req, res, { pin: true }, "pinned"));
+
+/**
+ * DELETE /sessions/:sessionId/chats/:chatId/pin
+ * Unpins a chat.
+ */
+app.delete("/sessions/:sessionId/chats/:chatId/pin", requirePermission('send'), requireSession, (req, res) =>
+  modifyChat(req, res, { pin: false }, "unpinned"));
+
+/**
+ * DELETE /sessions/:sessionId/chats/:chatId
+ * Deletes a chat and its messages for this account (the other participants keep it).
+ */
+app.delete("/sessions/:sessionId/chats/:chatId", requirePermission('send'), requireSession, (req, res) =>
+  modifyChat(req, res, { delete: true, lastMessages: lastMessageList(req.session.store, req.params.chatId) }, "deleted"));
+
+/**
+ * POST /sessions/:sessionId/chats/:chatId/presence
+ * Shows "typing..." (composing), "recording audio..." (recording) or stops it (paused) in a chat,
+ * or sets the session online (available) or offline (unavailable) for all contacts.
+ */
+app.post("/sessions/:sessionId/chats/:chatId/presence", requirePermission('send'), requireSession, async (req, res) => {
+  const { sock } = req.session;
+  const { chatId } = req.params;
+  const { type } = req.body || {};
+
+  const error = validatePresenceType(type);
+  if (error) return res.status(400).json({ error });
+
+  try {
+    await sock.sendPresenceUpdate(type, isChatState(type) ? chatId : undefined);
+    res.json({ status: "sent", chatId, type });
+  } catch (err) {
+    logger.error({err}, 'Failed to send presence')
+    res.status(errorStatus(err)).json({ error: err.message });
+  }
+});
+
+/**
+ * GET /sessions/:sessionId/chats/:chatId/presence
+ * Returns the last presence of the participants of a chat. The first request subscribes to it,
+ * so it is empty until WhatsApp sends the current presence.
+ */
+app.get("/sessions/:sessionId/chats/:chatId/presence", requirePermission('read'), requireSession, async (req, res) => {
+  const { sessionId, chatId } = req.params;
+  try {
+    await subscribePresence(sessionId, req.session.sock, chatId);
+    res.json(getPresence(sessionId, chatId));
+  } catch (err) {
+    logger.error({err}, 'Failed to subscribe to presence')
+    res.status(errorStatus(err)).json({ error: err.message });
+  }
+});
+
+/**
+ * GET /sessions/:sessionId/presence/stream
+ * Server-Sent Events stream of presence changes: presence { chatId, jid, presence, lastSeen, updatedAt }.
+ * ?chatId (can be repeated) subscribes to those chats and only streams them, otherwise streams every chat.
+ * Ends with an end event when the session is stopped or deleted.
+ */
+app.get("/sessions/:sessionId/presence/stream", requirePermission('read'), requireSession, async (req, res) => {
+  const { sessionId } = req.params;
+  const chatIdParams = [].concat(req.query.chatId || []).map(String);
+  const invalidChatId = chatIdParams.find((chatId) => !resolveJid(chatId));
+  if (invalidChatId !== undefined) {
+    return res.status(400).json({ error: invalidJidMessage(invalidChatId) });
+  }
+  const chatIds = chatIdParams.map(resolveJid);
+
+  try {
+    for (const chatId of chatIds) await subscribePresence(sessionId, req.session.sock, chatId);
+  } catch (err) {
+    logger.error({err}, 'Failed to subscribe to presence')
+    return res.status(errorStatus(err)).json({ error: err.message });
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no' // disable proxy buffering (nginx)
+  });
+  res.flushHeaders();
+
+  const onPresence = ({ sessionId: id, ...update }) => {
+    if (id !== sessionId || (chatIds.length && !chatIds.includes(update.chatId))) return;
+    if (!res.writableEnded) res.write(`event: presence\ndata: ${JSON.stringify(update)}\n\n`);
+  };
+  const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), 15000);
+  // the session was stopped or deleted, it will not send more presence here
+  const onCleared = ({ sessionId: id }) => {
+    if (id !== sessionId || res.writableEnded) return;
+    res.write(`event: end\ndata: ${JSON.stringify({ reason: 'session_stopped' })}\n\n`);
+    res.end();
+  };
+
+  presenceEvents.on('update', onPresence);
+  presenceEvents.on('cleared', onCleared);
+  req.on('close', () => {
+    presenceEvents.off('update', onPresence);
+    presenceEvents.off('cleared', onCleared);
+    clearInterval(heartbeat);
+  });
+
+  // the presence already known, changes are pushed as they come
+  for (const chatId of chatIds) {
+    for (const participant of getPresence(sessionId, chatId).participants) onPresence({ sessionId, chatId, ...participant });
+  }
+});
+
+/**
+ * GET /sessions/:sessionId/queue
+ * Lists the messages waiting in the send queue, in sending order, and the rate limits.
+ */
+app.get("/sessions/:sessionId/queue", requirePermission('read'), requireSession, async (req, res) => {
+  const { sessionId } = req.params;
+  try {
+    const pending = await listQueue(sessionId);
+    res.json({ settings: QUEUE_SETTINGS, count: pending.length, pending });
+  } catch (err) {
+    logger.error({err}, 'Failed to list send queue')
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * GET /sessions/:sessionId/queue/:jobId
+ * Returns a queued message job: queued, sent (with messageId), failed or cancelled.
+ */
+app.get("/sessions/:sessionId/queue/:jobId", requirePermission('read'), requireSession, async (req, res) => {
+  const { sessionId, jobId } = req.params;
+  try {
+    const job = await getJob(sessionId, jobId);
+    if (!job) return res.status(404).json({ error: "Job not found" });
+    res.json(job);
+  } catch (err) {
+    logger.error({err}, 'Failed to get send queue job')
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * DELETE /sessions/:sessionId/queue/:jobId
+ * Cancels a message that was not sent yet.
+ */
+app.delete("/sessions/:sessionId/queue/:jobId", requirePermission('send'), requireSession, async (req, res) => {
+  const { sessionId, jobId } = req.params;
+  try {
+    const job = await cancelJob(sessionId, jobId);
+    if (!job) {
+      const existing = await getJob(sessionId, jobId);
+      if (!existing) return res.status(404).json({ error: "Job not found" });
+      return res.status(409).json({ error: `Job is already ${existing.status}` });
+    }
+    res.json(job);
+  } catch (err) {
+    logger.error({err}, 'Failed to cancel send queue job')
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * POST /sessions/:sessionId/scheduled-messages
+ * Schedules a message. Body: { to, message, sendAt, timezone?, recurrence? }
+ * sendAt without offset ("2025-05-02T07:00") is read in `timezone`.
+ * recurrence: { frequency: daily|weekly|monthly, interval?, until?, count? }
+ */
+app.post("/sessions/:sessionId/scheduled-messages", requirePermission('send'), requireSession, async (req, res) => {
+  const { sessionId } = req.params;
+  const body = req.body || {};
+
+  const validationError = validateScheduledMessage(body);
+  if (validationError) {
+    return res.status(400).json({ error: validationError });
+  }
+
+  try {
+    const { to, message, sendAt, timezone, recurrence } = body;
+    const scheduled = await scheduleMessage(sessionId, { chatId: resolveJid(to), message, sendAt, timezone, recurrence });
+    res.status(201).json(scheduled);
+  } catch (err) {
+    logger.error({err}, 'Failed to schedule message')
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * GET /sessions/:sessionId/scheduled-messages
+ * Lists the scheduled messages of a session by next run. Filter with ?status=scheduled|sent|missed|failed
+ */
+app.get("/sessions/:sessionId/scheduled-messages", requirePermission('read'), requireSession, async (req, res) => {
+  const { sessionId } = req.params;
+  const { status } = req.query;
+  if (status !== undefined && !SCHEDULED_STATUSES.includes(status)) {
+    return res.status(400).json({ error: `status must be one of: ${SCHEDULED_STATUSES.join(', ')}` });
+  }
+  try {
+    res.json(await listScheduled(sessionId, status));
+  } catch (err) {
+    logger.error({err}, 'Failed to list scheduled messages')
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * GET /sessions/:sessionId/scheduled-messages/:scheduledId
+ * Returns a scheduled message with its next run and the result of the last one.
+ */
+app.get("/sessions/:sessionId/scheduled-messages/:scheduledId", requirePermission('read'), requireSession, async (req, res) => {
+  const { sessionId, scheduledId } = req.params;
+  try {
+    const scheduled = await getScheduled(sessionId, scheduledId);
+    if (!scheduled) return res.status(404).json({ error: "Scheduled message not found" });
+    res.json(scheduled);
+  } catch (err) {
+    logger.error({err}, 'Failed to get scheduled message')
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * PATCH /sessions/:sessionId/scheduled-messages/:scheduledId
+ * Edits a scheduled message. Body: any of { to, message, sendAt, timezone, recurrence }
+ * A finished message is scheduled again when sendAt is given.
+ */
+app.patch("/sessions/:sessionId/scheduled-messages/:scheduledId", requirePermission('send'), requireSession, async (req, res) => {
+  const { sessionId, scheduledId } = req.params;
+  const body = req.body || {};
+
+  const validationError = validateScheduledMessage(body, true);
+  if (validationError) {
+    return res.status(400).json({ error: validationError });
+  }
+
+  try {
+    const { to, message, sendAt, timezone, recurrence } = body;
+    const scheduled = await updateScheduled(sessionId, scheduledId, {
+      chatId: to === undefined ? undefined : resolveJid(to),
+      message,
+      sendAt,
+      timezone,
+      recurrence
+    });
+    if (!scheduled) return res.status(404).json({ error: "Scheduled message not found" });
+    res.json(scheduled);
+  } catch (err) {
+    logger.error({err}, 'Failed to update scheduled message')
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * DELETE /sessions/:sessionId/scheduled-messages/:scheduledId
+ * Cancels a scheduled message, including its future recurrences.
+ */
+app.delete("/sessions/:sessionId/scheduled-messages/:scheduledId", requirePermission('send'), requireSession, async (req, res) => {
+  const { sessionId, scheduledId } = req.params;
+  try {
+    const scheduled = await cancelScheduled(sessionId, scheduledId);
+    if (!scheduled) return res.status(404).json({ error: "Scheduled message not found" });
+    res.json(scheduled);
+  } catch (err) {
+    logger.error({err}, 'Failed to cancel scheduled message')
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * POST /sessions/:sessionId/broadcasts
+ * Sends a message template to many recipients through the send queue.
+ * Body: { recipients: [{ to, variables? }], template, sendAt?, checkOnWhatsApp? }
+ * {{variable}} placeholders in the template text, caption and fileName are replaced per recipient.
+ */
+app.post("/sessions/:sessionId/broadcasts", requirePermission('send'), requireSession, async (req, res) => {
+  const { sessionId } = req.params;
+  const { sock } = req.session;
+  const { recipients, template, sendAt, checkOnWhatsApp } = req.body || {};
+
+  const validationError = validateBroadcast({ recipients, template, sendAt });
+  if (validationError) {
+    return res.status(400).json({ error: validationError });
+  }
+
+  try {
+    const broadcast = await createBroadcast(sessionId, sock, {
+      recipients: recipients.map(({ to, variables }) => ({ to, jid: resolveJid(to), variables })),
+      template,
+      sendAt,
+      checkOnWhatsApp: checkOnWhatsApp === true
+    });
+    res.status(201).json(broadcast);
+  } catch (err) {
+    logger.error({err}, 'Failed to create broadcast')
+    res.status(errorStatus(err)).json({ error: err.message });
+  }
+});
+
+/**
+ * GET /sessions/:sessionId/broadcasts
+ * Lists the broadcasts of a session with status counts, newest first.
+ */
+app.get("/sessions/:sessionId/broadcasts", requirePermission('read'), requireSession, async (req, res) => {
+  const { sessionId } = req.params;
+  try {
+    res.json(await listBroadcasts(sessionId));
+  } catch (err) {
+    logger.error({err}, 'Failed to list broadcasts')
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * GET /sessions/:sessionId/broadcasts/:broadcastId
+ * Returns a broadcast with the status of each recipient: queued, sent, delivered, read or failed.
+ */
+app.get("/sessions/:sessionId/broadcasts/:broadcastId", requirePermission('read'), requireSession, async (req, res) => {
+  const { sessionId, broadcastId } = req.params;
+  try {
+    const broadcast = await getBroadcast(sessionId, broadcastId);
+    if (!broadcast) return res.status(404).json({ error: "Broadcast not found" });
+    res.json(broadcast);
+  } catch (err) {
+    logger.error({err}, 'Failed to get broadcast')
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * GET /sessions/:sessionId/labels
+ * Lists the WhatsApp Business labels of the account.
+ */
+app.get("/sessions/:sessionId/labels", requirePermission('read'), requireSession, (req, res) => {
+  const { store } = req.session;
+  res.json(listLabels(store).map(formatLabel));
+});
+
+/**
+ * POST /sessions/:sessionId/labels
+ * Creates a WhatsApp Business label. Body: { name, color: 0-19 }
+ */
+app.post("/sessions/:sessionId/labels", requirePermission('send'), requireSession, async (req, res) => {
+  const { sock, store } = req.session;
+  const { name, color } = req.body || {};
+  const validationError = validateLabel({ name, color }, false);
+  if (validationError) {
+    return res.status(400).json({ error: validationError });
+  }
+  if (listLabels(store).length >= MAX_LABELS) {
+    return res.status(400).json({ error: `WhatsApp accepts up to ${MAX_LABELS} labels` });
+  }
+
+  const label = { id: nextLabelId(store), name: name.trim(), color, deleted: false };
+  try {
+    await sock.addLabel('', label);
+    res.status(201).json(formatLabel(label));
+  } catch (err) {
+    logger.error({err}, 'Failed to create label')
+    res.status(errorStatus(err)).json({ error: err.message });
+  }
+});
+
+/**
+ * PATCH /sessions/:sessionId/labels/:labelId
+ * Renames or recolors a WhatsApp Business label. Body: { name?, color? }
+ */
+app.patch("/sessions/:sessionId/labels/:labelId", requirePermission('send'), requireSession, async (req, res) => {
+  const { sock, store } = req.session;
+  const { name, color } = req.body || {};
+  const validationError = validateLabel({ name, color }, true);
+  if (validationError) {
+    return res.status(400).json({ error: validationError });
+  }
+  const current = findLabel(store, req.params.labelId);
+  if (!current) return res.status(404).json({ error: "Label not found" });
+
+  const label = {
+    id: current.id,
+    name: name === undefined ? current.name : name.trim(),
+    color: color ?? current.color,
+    predefinedId: current.predefinedId,
+    deleted: false
+  };
+  try {
+    await sock.addLabel('', label);
+    res.json(formatLabel(label));
+  } catch (err) {
+    logger.error({err}, 'Failed to update label')
+    res.status(errorStatus(err)).json({ error: err.message });
+  }
+});
+
+/**
+ * DELETE /sessions/:sessionId/labels/:labelId
+ * Deletes a WhatsApp Business label.
+ */
+app.delete("/sessions/:sessionId/labels/:labelId", requirePermission('send'), requireSession, async (req, res) => {
+  const { sock, store } = req.session;
+  const label = findLabel(store, req.params.labelId);
+  if (!label) return res.status(404).json({ error: "Label not found" });
+
+  try {
+    await sock.addLabel('', { id: label.id, name: label.name, color: label.color, predefinedId: label.predefinedId, deleted: true });
+    res.json({ status: "deleted", labelId: label.id });
+  } catch (err) {
+    logger.error({err}, 'Failed to delete label')
+    res.status(errorStatus(err)).json({ error: err.message });
+  }
+});
+
+/**
+ * POST /sessions/:sessionId/groups
+ * Creates a group. Body: { subject, participants: [phone numbers or JIDs] }
+ */
+app.post("/sessions/:sessionId/groups", requirePermission('send'), requireSession, async (req, res) => {
+  const { sock } = req.session;
+  const { subject, participants } = req.body || {};
+
+  if (!subject || typeof subject !== 'string') {
+    return res.status(400).json({ error: "Group subject is required" });
+  }
+  const validationError = validateParticipants(participants);
+  if (validationError) {
+    return res.status(400).json({ error: validationError });
+  }
+
+  try {
+    const metadata = await sock.groupCreate(subject, participants.map(resolveJid));
+    res.status(201).json(formatGroupMetadata(metadata));
+  } catch (err) {
+    logger.error({err}, 'Failed to create group')
+    res.status(errorStatus(err)).json({ error: err.message });
+  }
+});
+
+/**
+ * GET /sessions/:sessionId/groups/:groupId
+ * Returns group metadata, participants and admins.
+ */
+app.get("/sessions/:sessionId/groups/:groupId", requirePermission('read'), requireSession, async (req, res) => {
+  const { sock } = req.session;
+  const { groupId } = req.params;
+  try {
+    const metadata = await sock.groupMetadata(groupId);
+    res.json(formatGroupMetadata(metadata));
+  } catch (err) {
+    logger.error({err}, 'Failed to fetch group metadata')
+    res.status(errorStatus(err)).json({ error: err.message });
+  }
+});
+
+/**
+ * PATCH /sessions/:sessionId/groups/:groupId
+ * Updates group settings. Body: { subject?, description?, announce?, restrict?, ephemeralDuration? }
+ * announce: only admins can send messages. restrict: only admins can edit group info.
+ */
+app.patch("/sessions/:sessionId/groups/:groupId", requirePermission('send'), requireSession, async (req, res) => {
+  const { sock } = req.session;
+  const { groupId } = req.params;
+  const { subject, description, announce, restrict, ephemeralDuration } = req.body || {};
+
+  const validationError = validateGroupUpdate({ subject, description, announce, restrict, ephemeralDuration });
+  if (validationError) {
+    return res.status(400).json({ error: validationError });
+  }
+
+  try {
+    if (subject !== undefined) await sock.groupUpdateSubject(groupId, subject);
+    if (description !== undefined) await sock.groupUpdateDescription(groupId, description || undefined);
+    if (announce !== undefined) await sock.groupSettingUpdate(groupId, announce ? 'announcement' : 'not_announcement');
+    if (restrict !== undefined) await sock.groupSettingUpdate(groupId, restrict ? 'locked' : 'unlocked');
+    if (ephemeralDuration !== undefined) await sock.groupToggleEphemeral(groupId, ephemeralDuration);
+
+    const metadata = await sock.groupMetadata(groupId);
+    res.json(formatGroupMetadata(metadata));
+  } catch (err) {
+    logger.error({err}, 'Failed to update group')
+    res.status(errorStatus(err)).json({ error: err.message });
+  }
+});
+
+/**
+ * POST /sessions/:sessionId/groups/:groupId/participants
+ * Adds, removes, promotes or demotes participants.
+ * Body: { action: "add" | "remove" | "promote" | "demote", participants: [phone numbers or JIDs] }
+ */
+app.post("/sessions/:sessionId/groups/:groupId/participants", requirePermission('send'), requireSession, async (req, res) => {
+  const { sock } = req.session;
+  const { groupId } = req.params;
+  const { action, participants } = req.body || {};
+
+  if (!PARTICIPANT_ACTIONS.includes(action)) {
+    return res.status(400).json({ error: `action must be one of: ${PARTICIPANT_ACTIONS.join(', ')}` });
+  }
+  const validationError = validateParticipants(participants);
+  if (validationError) {
+    return res.status(400).json({ error: validationError });
+  }
+
+  try {
+    const results = await sock.groupParticipantsUpdate(groupId, participants.map(resolveJid), action);
+    // status is a per participant code, e.g. "200" ok, "403" not allowed, "409" already in group
+    res.json({
+      action,
+      results: results.map(({ jid, status }) => ({ jid, status: Number(status) }))
+    });
+  } catch (err) {
+    logger.error({err}, 'Failed to update group participants')
+    res.status(errorStatus(err)).json({ error: err.message });
+  }
+});
+
+/**
+ * GET /sessions/:sessionId/groups/:groupId/invite-link
+ * Returns the invite link of the group. Requires being admin.
+ */
+app.get("/sessions/:sessionId/groups/:groupId/invite-link", requirePermission('read'), requireSession, async (req, res) => {
+  const { sock } = req.session;
+  const { groupId } = req.params;
+  try {
+    const code = await sock.groupInviteCode(groupId);
+    res.json({ code, link: `https://chat.whatsapp.com/${code}` });
+  } catch (err) {
+    logger.error({err}, 'Failed to fetch group invite link')
+    res.status(errorStatus(err)).json({ error: err.message });
+  }
+});
+
+/**
+ * DELETE /sessions/:sessionId/groups/:groupId/invite-link
+ * Revokes the invite link of the group and returns the new one.
+ */
+app.delete("/sessions/:sessionId/groups/:groupId/invite-link", requirePermission('send'), requireSession, async (req, res) => {
+  const { sock } = req.session;
+  const { groupId } = req.params;
+  try {
+    const code = await sock.groupRevokeInvite(groupId);
+    res.json({ code, link: `https://chat.whatsapp.com/${code}` });
+  } catch (err) {
+    logger.error({err}, 'Failed to revoke group invite link')
+    res.status(errorStatus(err)).json({ error: err.message });
+  }
+});
+
+/**
+ * POST /sessions/:sessionId/groups/:groupId/leave
+ * Leaves the group.
+ */
+app.post("/sessions/:sessionId/groups/:groupId/leave", requirePermission('send'), requireSession, async (req, res) => {
+  const { sock } = req.session;
+  const { groupId } = req.params;
+  try {
+    await sock.groupLeave(groupId);
+    res.json({ status: "left" });
+  } catch (err) {
+    logger.error({err}, 'Failed to leave group')
+    res.status(errorStatus(err)).json({ error: err.message });
+  }
+});
+
+// Restore sessions from Redis before starting the server
+(async () => {
   try {
     await restoreSessionsFromRedis();
     app.listen(PORT, () => logger.info(`PADMA Baileys API server ${version} running`));
@@ -331,3 +1877,16 @@ app.post("/sessions/:sessionId/chats/:chatId/messages", requireSession, async (r
     process.exit(1);
   }
 })();
+
+// Release the sessions on shutdown, so other instances connect them right away instead of waiting for the leases to expire
+for (const signal of ['SIGTERM', 'SIGINT']) {
+  process.once(signal, async () => {
+    logger.info({ signal }, "Shutting down, releasing sessions");
+    try {
+      await stopAllSessions();
+    } catch (err) {
+      logger.error({ error: err }, "Failed to release sessions");
+    }
+    process.exit(0);
+  });
+}
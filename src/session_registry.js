@@ -0,0 +1,204 @@
+import { redisClient, authStateKey, reencryptAuthState } from './use_redis_auth_state.js'
+import { CURRENT_KEY_ID } from './auth_encryption.js'
+import { REDIS_NAMESPACE, redisKey } from './redis_keys.js'
+import logger from './logger.js'
+
+// Redis keys
+const SESSIONS_KEY = redisKey('sessions'); // set of session ids
+const metadataKey = (sessionId) => redisKey('session', sessionId, 'meta'); // hash, see getSessionMetadata
+const MIGRATION_KEY = redisKey('migrations', 'namespace'); // ISO date when bare keys were migrated
+const MIGRATION_LOCK_KEY = redisKey('migrations', 'lock');
+const ENCRYPTION_KEY = redisKey('migrations', 'auth-encryption'); // id of the key every auth state is encrypted with
+const ENCRYPTION_LOCK_KEY = redisKey('migrations', 'auth-encryption', 'lock');
+
+// Key prefixes used before the namespace existed, moved under it by migrateLegacyKeys
+const LEGACY_PREFIXES = ['store', 'webhooks', 'queue', 'broadcasts', 'broadcast', 'broadcast-message', 'scheduled', 'message-status', 'api-keys'];
+
+// Adds the commands storing the metadata given when a session is started to a MULTI
+function addInitialMetadata(multi, sessionId, { tenant, label } = {}) {
+  multi.hSetNX(metadataKey(sessionId), 'createdAt', new Date().toISOString());
+  if (tenant) multi.hSetNX(metadataKey(sessionId), 'tenant', tenant);
+  if (label !== undefined) multi.hSet(metadataKey(sessionId), 'label', label);
+  return multi;
+}
+
+/**
+ * Adds a linked session to the sessions index, so it is restored on startup
+ * @param {string} sessionId - Session identifier
+ * @param {object} [metadata] - See initSessionMetadata
+ */
+async function registerSession(sessionId, metadata) {
+  await addInitialMetadata(redisClient.multi().sAdd(SESSIONS_KEY, sessionId), sessionId, metadata).exec();
+}
+
+/**
+ * Stores the metadata of a session being started, without indexing it: sessions are indexed once linked
+ * @param {string} sessionId - Session identifier
+ * @param {object} [metadata]
+ * @param {string} [metadata.tenant] - Id of the api key that created the session, kept from the first start
+ * @param {string} [metadata.label] - Free description
+ */
+async function initSessionMetadata(sessionId, metadata) {
+  await addInitialMetadata(redisClient.multi(), sessionId, metadata).exec();
+}
+
+/**
+ * Sets metadata fields of a session. Objects are stored as JSON.
+ * @param {string} sessionId - Session identifier
+ * @param {object} fields - e.g. { lastConnectedAt }
+ */
+async function updateSessionMetadata(sessionId, fields) {
+  const values = Object.fromEntries(Object.entries(fields)
+    .map(([field, value]) => [field, typeof value === 'string' ? value : JSON.stringify(value)]));
+  await redisClient.hSet(metadataKey(sessionId), values);
+}
+
+/**
+ * Gets the metadata of a session
+ * @param {string} sessionId - Session identifier
+ * @returns {Promise<object|null>} { createdAt, label, tenant, webhooks, lastConnectedAt }, null if not registered
+ */
+async function getSessionMetadata(sessionId) {
+  const stored = await redisClient.hGetAll(metadataKey(sessionId));
+  if (!stored.createdAt) return null;
+  return {
+    createdAt: stored.createdAt,
+    label: stored.label ?? null,
+    tenant: stored.tenant ?? null,
+    webhooks: stored.webhooks ? JSON.parse(stored.webhooks) : [],
+    lastConnectedAt: stored.lastConnectedAt ?? null
+  };
+}
+
+/**
+ * Lists the registered sessions, iterating the index with SSCAN
+ * @returns {Promise<string[]>} Session ids
+ */
+async function listSessionIds() {
+  const sessionIds = [];
+  for await (const members of redisClient.sScanIterator(SESSIONS_KEY, { COUNT: 500 })) {
+    sessionIds.push(...members);
+  }
+  return sessionIds;
+}
+
+/**
+ * Registers the sessions that have an auth state but are missing from the index, e.g. stored before it existed.
+ * Only scans the auth state keys, it runs once at startup: the index is the only listing used afterwards.
+ * @returns {Promise<void>}
+ */
+async function indexStoredSessions() {
+  const prefix = redisKey('session', '');
+  const suffix = ':auth';
+  let sessionCount = 0;
+  for await (const keys of redisClient.scanIterator({ MATCH: authStateKey('*'), TYPE: 'hash', COUNT: 500 })) {
+    for (const key of keys) {
+      const sessionId = key.slice(prefix.length, -suffix.length);
+      if (await redisClient.sIsMember(SESSIONS_KEY, sessionId)) continue;
+      // auth states of sessions that were never linked have no credentials
+      if (!await redisClient.hExists(key, 'creds')) continue;
+      await registerSession(sessionId);
+      sessionCount++;
+    }
+  }
+  if (sessionCount) logger.info({ sessions: sessionCount }, "Stored sessions added to the sessions index");
+}
+
+/**
+ * Removes a session from the index, with its metadata
+ * @param {string} sessionId - Session identifier
+ */
+async function unregisterSession(sessionId) {
+  await redisClient.multi()
+    .sRem(SESSIONS_KEY, sessionId)
+    .del(metadataKey(sessionId))
+    .exec();
+}
+
+/**
+ * Moves keys written before the namespace existed under it, once per database:
+ * sessions stored as a bare `<sessionId>` hash with a `creds` field become `<namespace>:session:<sessionId>:auth`
+ * and are registered in the index, the other keys of the service get the namespace prefix.
+ * @returns {Promise<void>}
+ */
+async function migrateLegacyKeys() {
+  if (await redisClient.exists(MIGRATION_KEY)) return;
+  // only one instance migrates, the others start with what is migrated so far and retry on every heartbeat until it is done
+  const locked = await redisClient.set(MIGRATION_LOCK_KEY, '1', { condition: 'NX', expiration: { type: 'EX', value: 300 } });
+  if (!locked) return;
+
+  let sessionCount = 0;
+  let keyCount = 0;
+  try {
+    for await (const keys of redisClient.scanIterator({ COUNT: 500 })) {
+      for (const key of keys) {
+        if (REDIS_NAMESPACE && key.startsWith(`${REDIS_NAMESPACE}:`)) continue;
+        try {
+          if (REDIS_NAMESPACE && LEGACY_PREFIXES.includes(key.split(':')[0])) {
+            if (await redisClient.renameNX(key, redisKey(key))) keyCount++;
+            else logger.warn({ key }, "Legacy key not migrated, the namespaced key already exists");
+          } else if (!key.includes(':') && await redisClient.type(key) === 'hash' && await redisClient.hExists(key, 'creds')) {
+            if (await redisClient.renameNX(key, authStateKey(key))) {
+              await registerSession(key);
+              await updateSessionMetadata(key, { migratedAt: new Date().toISOString() });
+              sessionCount++;
+            } else {
+              logger.warn({ sessionId: key }, "Legacy session not migrated, the namespaced session already exists");
+            }
+          }
+        } catch (err) {
+          logger.warn({ key, error: err }, "Failed to migrate legacy key");
+        }
+      }
+    }
+    await redisClient.set(MIGRATION_KEY, new Date().toISOString());
+    logger.info({ sessions: sessionCount, keys: keyCount, namespace: REDIS_NAMESPACE }, "Legacy Redis keys migrated");
+  } finally {
+    await redisClient.del(MIGRATION_LOCK_KEY);
+  }
+}
+
+/**
+ * Encrypts with the current key the auth state values stored in plaintext or with a previous key,
+ * once per key, so enabling encryption or rotating the key applies to the existing sessions.
+ * @returns {Promise<void>}
+ */
+async function reencryptAuthStates() {
+  if (!CURRENT_KEY_ID) {
+    logger.warn("AUTH_ENCRYPTION_KEY is not set, WhatsApp credentials are stored in plaintext");
+    return;
+  }
+  if (await redisClient.get(ENCRYPTION_KEY) === CURRENT_KEY_ID) return;
+  const locked = await redisClient.set(ENCRYPTION_LOCK_KEY, CURRENT_KEY_ID, { condition: 'NX', expiration: { type: 'EX', value: 300 } });
+  if (!locked) return;
+
+  let valueCount = 0;
+  let failed = false;
+  try {
+    for (const sessionId of await listSessionIds()) {
+      try {
+        valueCount += await reencryptAuthState(sessionId);
+      } catch (err) {
+        failed = true;
+        logger.error({ sessionId, error: err }, "Failed to re-encrypt auth state");
+      }
+    }
+    // retried on the next start until every session is done
+    if (!failed) await redisClient.set(ENCRYPTION_KEY, CURRENT_KEY_ID);
+    logger.info({ values: valueCount, keyId: CURRENT_KEY_ID }, "Auth state re-encrypted");
+  } finally {
+    await redisClient.del(ENCRYPTION_LOCK_KEY);
+  }
+}
+
+export {
+  registerSession,
+  initSessionMetadata,
+  updateSessionMetadata,
+  getSessionMetadata,
+  listSessionIds,
+  indexStoredSessions,
+  unregisterSession,
+  migrateLegacyKeys,
+  reencryptAuthStates
+};
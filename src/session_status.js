@@ -0,0 +1,155 @@
+import { EventEmitter } from 'events'
+import { DisconnectReason } from "@whiskeysockets/baileys";
+
+// connecting: socket opening, qr_pending: waiting for the QR to be scanned, pairing_code_pending: waiting for
+// the pairing code to be entered, open: connected, reconnecting: waiting for the backoff before a new socket,
+// logged_out / failed: session removed
+const SESSION_STATUSES = ['connecting', 'qr_pending', 'pairing_code_pending', 'open', 'reconnecting', 'logged_out', 'failed'];
+
+const TERMINAL_STATUSES = ['logged_out', 'failed'];
+// How long a removed session is still reported (and keeps /health degraded if it failed)
+const TERMINAL_STATUS_TTL_MS = (Number(process.env.SESSION_STATUS_TTL_SECONDS) || 3600) * 1000;
+
+// Map to store the connection state of sessions, kept for a while after logged_out / failed so they can be reported
+const statuses = new Map(); // sessionId -> { status, createdAt, connectedAt, lastDisconnect, reconnectAttempts, nextRetryAt, lastMessageReceivedAt, lastMessageSentAt }
+const expiryTimers = new Map(); // sessionId -> Timeout forgetting a terminal status
+
+// Last QR of sessions waiting to be linked
+const lastQrs = new Map(); // sessionId -> QR string
+
+// Emits 'status' with { sessionId, status } on every status change, 'qr' with { sessionId, qr } on every new QR
+// and 'removed' with { sessionId, reason: 'stopped' | 'deleted' } when the session manager drops a session
+const sessionEvents = new EventEmitter();
+sessionEvents.setMaxListeners(0); // one listener per QR stream
+
+/**
+ * Name of a DisconnectReason code, e.g. 428 => "connectionClosed"
+ */
+const disconnectReasonName = (code) =>
+  Object.entries(DisconnectReason).find(([, value]) => value === code)?.[0] || 'unknown';
+
+/**
+ * Updates the connection state of a session
+ * @param {string} sessionId - Session identifier
+ * @param {string} status - One of SESSION_STATUSES
+ * @param {object} [fields] - Other fields to set, e.g. { reconnectAttempts, nextRetryAt }
+ */
+function setSessionStatus(sessionId, status, fields = {}) {
+  const current = statuses.get(sessionId) || {
+    createdAt: new Date().toISOString(),
+    connectedAt: null,
+    lastDisconnect: null,
+    reconnectAttempts: 0,
+    nextRetryAt: null,
+    lastMessageReceivedAt: null,
+    lastMessageSentAt: null
+  };
+  statuses.set(sessionId, { ...current, ...fields, status });
+  if (status !== 'qr_pending' && status !== 'pairing_code_pending') lastQrs.delete(sessionId);
+  clearTimeout(expiryTimers.get(sessionId));
+  expiryTimers.delete(sessionId);
+  if (TERMINAL_STATUSES.includes(status)) {
+    const timer = setTimeout(() => clearSessionStatus(sessionId), TERMINAL_STATUS_TTL_MS);
+    timer.unref();
+    expiryTimers.set(sessionId, timer);
+  }
+  if (status !== current.status) sessionEvents.emit('status', { sessionId, status });
+}
+
+/**
+ * Tracks the connection state and message activity of a socket
+ * @param {string} sessionId - Session identifier
+ * @param {object} sock - Baileys socket
+ */
+function bindSessionStatus(sessionId, sock) {
+  sock.ev.on('connection.update', ({ connection, lastDisconnect, qr }) => {
+    if (qr) {
+      // WhatsApp keeps rotating the QR after a pairing code was requested
+      const { pairingCode, registered } = sock.authState.creds;
+      setSessionStatus(sessionId, pairingCode && !registered ? 'pairing_code_pending' : 'qr_pending');
+      lastQrs.set(sessionId, qr);
+      sessionEvents.emit('qr', { sessionId, qr });
+    }
+    if (connection === 'connecting') setSessionStatus(sessionId, 'connecting');
+    if (connection === 'open') {
+      setSessionStatus(sessionId, 'open', { connectedAt: new Date().toISOString(), reconnectAttempts: 0, nextRetryAt: null });
+    }
+    if (connection === 'close') {
+      const code = lastDisconnect?.error?.output?.statusCode ?? null;
+      // the session manager sets the final status (reconnecting, logged_out, failed) after handling the close
+      setSessionStatus(sessionId, 'connecting', {
+        connectedAt: null,
+        lastDisconnect: {
+          code,
+          reason: disconnectReasonName(code),
+          message: lastDisconnect?.error?.message || null,
+          at: new Date(lastDisconnect?.date || Date.now()).toISOString()
+        }
+      });
+    }
+  });
+
+  sock.ev.on('messages.upsert', ({ messages, type }) => {
+    const current = statuses.get(sessionId);
+    if (!current) return;
+    const now = new Date().toISOString();
+    if (messages.some((msg) => msg.key.fromMe)) current.lastMessageSentAt = now;
+    if (type === 'notify' && messages.some((msg) => !msg.key.fromMe)) current.lastMessageReceivedAt = now;
+  });
+}
+
+/**
+ * Gets the connection state of a session
+ * @param {string} sessionId - Session identifier
+ * @returns {object|null} Status with `uptimeSeconds` while open, null if unknown
+ */
+function getSessionStatus(sessionId) {
+  const current = statuses.get(sessionId);
+  if (!current) return null;
+  const uptimeSeconds = current.status === 'open' && current.connectedAt
+    ? Math.floor((Date.now() - Date.parse(current.connectedAt)) / 1000)
+    : null;
+  return { ...current, uptimeSeconds };
+}
+
+/**
+ * Gets the current QR of a session waiting to be linked
+ * @param {string} sessionId - Session identifier
+ * @returns {string|null} QR string, null if the session is not waiting for a QR scan
+ */
+function getLastQr(sessionId) {
+  return lastQrs.get(sessionId) || null;
+}
+
+/**
+ * Counts the sessions of each status
+ * @returns {object} { connecting: n, qr_pending: n, ... }
+ */
+function countSessionStatuses() {
+  const counts = Object.fromEntries(SESSION_STATUSES.map((status) => [status, 0]));
+  for (const { status } of statuses.values()) counts[status]++;
+  return counts;
+}
+
+/**
+ * Forgets the connection state of a session
+ * @param {string} sessionId - Session identifier
+ */
+function clearSessionStatus(sessionId) {
+  statuses.delete(sessionId);
+  lastQrs.delete(sessionId);
+  clearTimeout(expiryTimers.get(sessionId));
+  expiryTimers.delete(sessionId);
+}
+
+export {
+  SESSION_STATUSES,
+  sessionEvents,
+  disconnectReasonName,
+  setSessionStatus,
+  bindSessionStatus,
+  getSessionStatus,
+  getLastQr,
+  countSessionStatuses,
+  clearSessionStatus
+};
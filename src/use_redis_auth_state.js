@@ -1,21 +1,36 @@
 // Dependencia necesaria: npm install redis
 import { createClient } from 'redis';
 import baileys from '@whiskeysockets/baileys';
+import { observeRedisAuthOperation } from './metrics.js'
+import { redisKey } from './redis_keys.js'
+import { encryptAuthValue, decryptAuthValue, needsReencryption, reencryptAuthValue } from './auth_encryption.js'
 const { initAuthCreds, proto } = baileys;
 
 // Cliente Redis único (se puede reusar para todas las sesiones)
 const redisClient = createClient({ url: process.env.REDIS_URL || 'redis://redis:6379' });
 await redisClient.connect();  // Conecta al servidor Redis
 
+// Hash con las credenciales y claves de cifrado de una sesión
+const authStateKey = (sessionId) => redisKey('session', sessionId, 'auth');
+
+// Reemplaza un campo solo si no cambió desde que se leyó
+const COMPARE_AND_SET_SCRIPT = `if redis.call('HGET', KEYS[1], ARGV[1]) == ARGV[2] then redis.call('HSET', KEYS[1], ARGV[1], ARGV[3]) return 1 else return 0 end`;
+
+// Los valores se cifran ligados a la sesión y al campo, así no pueden copiarse a otro (ver auth_encryption.js)
+const valueAad = (sessionId, field) => `${sessionId}:${field}`;
+
 /**
  * Hook de autenticación con Redis.
  * @param {string} sessionId - Identificador único de la sesión de WhatsApp.
  * @returns {Promise<{ state, saveCreds }>} Objeto con el estado de auth y función para guardar credenciales.
  */
 async function useRedisAuthState(sessionId) {
+  const key = authStateKey(sessionId);
   // Obtener credenciales almacenadas o inicializar nuevas si no existen
-  const credsStr = await redisClient.hGet(sessionId, 'creds');
-  const creds = credsStr ? JSON.parse(credsStr) : initAuthCreds();
+  const loadStartedAt = process.hrtime.bigint();
+  const credsStr = await redisClient.hGet(key, 'creds');
+  observeRedisAuthOperation('creds.load', loadStartedAt);
+  const creds = credsStr ? JSON.parse(decryptAuthValue(credsStr, valueAad(sessionId, 'creds'))) : initAuthCreds();
 
   return {
     state: {
@@ -26,13 +41,14 @@ async function useRedisAuthState(sessionId) {
          * Lee múltiples claves de un tipo dado (e.g. 'pre-key', 'session') para ciertos IDs.
          */
         get: async (type, ids) => {
+          const startedAt = process.hrtime.bigint();
           const data = {};
           await Promise.all(ids.map(async id => {
-            const redisKey = `${type}-${id}`;
-            let valueStr = await redisClient.hGet(sessionId, redisKey);
+            const field = `${type}-${id}`;
+            let valueStr = await redisClient.hGet(key, field);
             if (valueStr) {
               // Reconstruir objeto/Buffer desde JSON
-              let value = JSON.parse(valueStr);
+              let value = JSON.parse(decryptAuthValue(valueStr, valueAad(sessionId, field)));
               if (type === 'app-state-sync-key' && value) {
                 // Reconstruir tipo proto Message.AppStateSyncKeyData
                 value = proto.Message.AppStateSyncKeyData.fromObject(value);
@@ -42,35 +58,69 @@ async function useRedisAuthState(sessionId) {
               data[id] = null;
             }
           }));
+          observeRedisAuthOperation('keys.get', startedAt);
           return data;
         },
         /**
          * Guarda múltiples claves de distintos tipos en Redis. Elimina la entrada si el valor es nulo.
          */
         set: async (data) => {
+          const startedAt = process.hrtime.bigint();
           const pipeline = redisClient.multi();
           for (const category in data) {
             for (const id in data[category]) {
               const item = data[category][id];
-              const redisKey = `${category}-${id}`;
+              const field = `${category}-${id}`;
               if (item) {
                 // Serializar a JSON (conversión a base64 si contiene datos binarios)
-                const valueStr = JSON.stringify(item);
-                pipeline.hSet(sessionId, redisKey, valueStr);
+                const valueStr = encryptAuthValue(JSON.stringify(item), valueAad(sessionId, field));
+                pipeline.hSet(key, field, valueStr);
               } else {
-                pipeline.hDel(sessionId, redisKey);
+                pipeline.hDel(key, field);
               }
             }
           }
           await pipeline.exec();  // Ejecutar operaciones en lote
+          observeRedisAuthOperation('keys.set', startedAt);
         }
       }
     },
     /** Guarda los credenciales actuales en Redis (ejecutar en cada actualización de creds) **/
     saveCreds: async () => {
-      await redisClient.hSet(sessionId, 'creds', JSON.stringify(creds));
+      const startedAt = process.hrtime.bigint();
+      await redisClient.hSet(key, 'creds', encryptAuthValue(JSON.stringify(creds), valueAad(sessionId, 'creds')));
+      observeRedisAuthOperation('creds.save', startedAt);
     }
   };
 }
 
-export { useRedisAuthState, redisClient };
\ No newline at end of file
+/**
+ * Borra las credenciales y claves de una sesión
+ * @param {string} sessionId - Identificador de la sesión.
+ */
+async function clearAuthState(sessionId) {
+  await redisClient.del(authStateKey(sessionId));
+}
+
+/**
+ * Cifra con la clave actual los valores de una sesión guardados en texto plano o con una clave anterior
+ * @param {string} sessionId - Identificador de la sesión.
+ * @returns {Promise<number>} Cantidad de valores cifrados nuevamente
+ */
+async function reencryptAuthState(sessionId) {
+  const key = authStateKey(sessionId);
+  let count = 0;
+  for await (const entries of redisClient.hScanIterator(key, { COUNT: 500 })) {
+    for (const { field, value } of entries) {
+      if (!needsReencryption(value)) continue;
+      // si la sesión escribió el campo mientras tanto ya quedó cifrado con la clave actual
+      count += await redisClient.eval(COMPARE_AND_SET_SCRIPT, {
+        keys: [key],
+        arguments: [field, value, reencryptAuthValue(value, valueAad(sessionId, field))]
+      });
+    }
+  }
+  return count;
+}
+
+export { useRedisAuthState, clearAuthState, reencryptAuthState, authStateKey, redisClient };
\ No newline at end of file
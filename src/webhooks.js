@@ -0,0 +1,397 @@
+import crypto from 'crypto'
+import { redisClient } from './use_redis_auth_state.js'
+import { normalizeMessage, statusName } from './messages.js'
+import logger from './logger.js'
+import { redisKey } from './redis_keys.js'
+import { updateSessionMetadata } from './session_registry.js'
+import { parseHostList, isPrivateAddressUrl, checkPublicHost } from './public_urls.js'
+
+// Socket events that can be forwarded to webhooks
+const WEBHOOK_EVENTS = [
+  'messages.upsert',
+  'messages.update',
+  'connection.update',
+  'chats.update',
+  'presence.update'
+];
+// Events only delivered to webhooks that list them: too frequent for '*'
+const OPT_IN_EVENTS = ['presence.update'];
+
+const MAX_ATTEMPTS = Number(process.env.WEBHOOK_MAX_ATTEMPTS) || 8;
+const REQUEST_TIMEOUT_MS = Number(process.env.WEBHOOK_TIMEOUT_MS) || 10000;
+const DEAD_LETTER_LIMIT = Number(process.env.WEBHOOK_DEAD_LETTER_LIMIT) || 1000;
+// Hosts that may receive webhooks even if they resolve to a private address, e.g. a service in the same network
+const WEBHOOK_ALLOWED_HOSTS = parseHostList(process.env.WEBHOOK_ALLOWED_HOSTS);
+
+// Redis keys
+const webhooksKey = (sessionId) => redisKey('webhooks', sessionId); // hash webhookId -> config JSON
+const pendingKey = (sessionId) => redisKey('webhooks', sessionId, 'pending'); // hash deliveryId -> delivery JSON
+const deadLettersKey = (sessionId) => redisKey('webhooks', sessionId, 'dead-letters'); // list of delivery JSON
+
+// Retry timers of the sessions this instance delivers for, so deliveries are not scheduled twice.
+// A session without an entry is not delivered here: its deliveries stay pending for the instance that resumes them.
+const retryTimers = new Map(); // sessionId -> Map deliveryId -> Timeout
+
+/**
+ * Calculate retry delay for a failed delivery
+ * @param {number} attempts - Number of attempts already made
+ * @returns {number} Delay in milliseconds
+ */
+function retryDelay(attempts) {
+  const baseDelay = 2000; // 2 seconds
+  const maxDelay = 600000; // 10 minutes
+  return Math.min(baseDelay * Math.pow(2, attempts - 1), maxDelay) + Math.random() * 1000;
+}
+
+/**
+ * Signs a webhook body with the webhook secret
+ * @param {string} secret - Webhook secret
+ * @param {string} timestamp - Value sent in X-Webhook-Timestamp
+ * @param {string} body - Raw JSON body
+ * @returns {string} Hex encoded HMAC-SHA256 of `${timestamp}.${body}`
+ */
+function signPayload(secret, timestamp, body) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+/**
+ * Hides the secret of a webhook before returning it to API clients
+ * @param {object} webhook - Stored webhook config
+ * @returns {object}
+ */
+function publicWebhook({ secret, ...webhook }) {
+  return webhook;
+}
+
+/**
+ * Lists the webhooks registered for a session
+ * @param {string} sessionId - Session identifier
+ * @returns {Promise<Array>} Webhook configs (including secrets)
+ */
+async function listWebhooks(sessionId) {
+  const stored = await redisClient.hGetAll(webhooksKey(sessionId));
+  return Object.values(stored).map((value) => JSON.parse(value));
+}
+
+/**
+ * Copies the webhooks of a session, without secrets, to its metadata
+ * @param {string} sessionId - Session identifier
+ */
+async function syncWebhooksMetadata(sessionId) {
+  const webhooks = await listWebhooks(sessionId);
+  await updateSessionMetadata(sessionId, {
+    webhooks: webhooks.map(({ id, url, events, format }) => ({ id, url, events, format }))
+  });
+}
+
+/**
+ * Registers a new webhook for a session
+ * @param {string} sessionId - Session identifier
+ * @param {object} options
+ * @param {string} options.url - Endpoint that receives the events
+ * @param {string} [options.secret] - HMAC secret, generated if missing
+ * @param {string[]} [options.events] - Events to forward, all of them if missing
+ * @param {string} [options.format] - 'raw' (default) or 'simple' for normalized messages
+ * @returns {Promise<object>} Created webhook (including secret)
+ */
+async function registerWebhook(sessionId, { url, secret, events, format }) {
+  const webhook = {
+    id: crypto.randomUUID(),
+    url,
+    secret: secret || crypto.randomBytes(32).toString('hex'),
+    events: events && events.length ? events : ['*'],
+    format: format || 'raw',
+    createdAt: new Date().toISOString()
+  };
+  await redisClient.hSet(webhooksKey(sessionId), webhook.id, JSON.stringify(webhook));
+  await syncWebhooksMetadata(sessionId);
+  return webhook;
+}
+
+/**
+ * Removes a webhook from a session
+ * @param {string} sessionId - Session identifier
+ * @param {string} webhookId - Webhook identifier
+ * @returns {Promise<boolean>} Whether the webhook existed
+ */
+async function removeWebhook(sessionId, webhookId) {
+  const removed = await redisClient.hDel(webhooksKey(sessionId), webhookId);
+  if (removed) await syncWebhooksMetadata(sessionId);
+  return removed > 0;
+}
+
+/**
+ * Validates webhook registration input
+ * @param {object} body - Request body
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateWebhook({ url, secret, events, format }) {
+  if (!url) return "Webhook url is required";
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return "Webhook url is invalid";
+  }
+  if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') return "Webhook url must be http or https";
+  if (isPrivateAddressUrl(parsed, WEBHOOK_ALLOWED_HOSTS)) return "Webhook url must point to a public address";
+  if (secret !== undefined && typeof secret !== 'string') return "Webhook secret must be a string";
+  if (events !== undefined) {
+    if (!Array.isArray(events)) return "Webhook events must be an array";
+    const unknown = events.filter((e) => e !== '*' && !WEBHOOK_EVENTS.includes(e));
+    if (unknown.length) return `Unknown webhook events: ${unknown.join(', ')}`;
+  }
+  if (format !== undefined && format !== 'raw' && format !== 'simple') return "Webhook format must be raw or simple";
+  return null;
+}
+
+/**
+ * Builds a JSON friendly representation of a socket event
+ * connection.update carries the Boom error that closed the socket, which does not serialize.
+ * In the simple format messages are normalized.
+ * @param {string} event - Event name
+ * @param {*} data - Event payload
+ * @param {string} format - 'raw' or 'simple'
+ * @param {string} [meId] - JID of the session user
+ */
+function serializeEventData(event, data, format, meId) {
+  if (format === 'simple' && event === 'messages.upsert') {
+    return { type: data.type, messages: data.messages.map((msg) => normalizeMessage(msg, meId)) };
+  }
+  if (format === 'simple' && event === 'messages.update') {
+    return data.map(({ key, update }) => ({
+      id: key.id,
+      chatId: key.remoteJid,
+      fromMe: !!key.fromMe,
+      status: statusName(update.status),
+      edited: !!update.message,
+      deleted: update.message === null || update.messageStubType === 1 // REVOKE
+    }));
+  }
+  if (event === 'connection.update' && data.lastDisconnect) {
+    const { error, date } = data.lastDisconnect;
+    return {
+      ...data,
+      lastDisconnect: {
+        statusCode: error?.output?.statusCode,
+        message: error?.message,
+        date
+      }
+    };
+  }
+  return data;
+}
+
+/**
+ * Sends a delivery once. On failure it is either rescheduled or moved to the dead-letter list.
+ * @param {string} sessionId - Session identifier
+ * @param {object} delivery - Pending delivery
+ */
+async function attemptDelivery(sessionId, delivery) {
+  retryTimers.get(sessionId)?.delete(delivery.id);
+
+  const stored = await redisClient.hGet(webhooksKey(sessionId), delivery.webhookId);
+  if (!stored) {
+    // webhook was removed while the delivery was pending
+    await redisClient.hDel(pendingKey(sessionId), delivery.id);
+    return;
+  }
+  const webhook = JSON.parse(stored);
+
+  const timestamp = String(Math.floor(Date.now() / 1000));
+  delivery.attempts++;
+  try {
+    // checked on every attempt, the host may resolve to another address since the webhook was registered
+    await checkPublicHost(new URL(webhook.url), WEBHOOK_ALLOWED_HOSTS);
+    const response = await fetch(webhook.url, {
+      method: 'POST',
+      redirect: 'manual', // a redirect could point to an internal address, it counts as a failed delivery
+      headers: {
+        'Content-Type': 'application/json',
+        'X-Webhook-Id': delivery.id,
+        'X-Webhook-Event': delivery.event,
+        'X-Webhook-Timestamp': timestamp,
+        'X-Webhook-Signature': `sha256=${signPayload(webhook.secret, timestamp, delivery.body)}`
+      },
+      body: delivery.body,
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+    });
+    if (!response.ok) throw new Error(`Webhook responded with status ${response.status}`);
+
+    await redisClient.hDel(pendingKey(sessionId), delivery.id);
+    logger.debug({ sessionId, webhookId: webhook.id, deliveryId: delivery.id, event: delivery.event }, "Webhook delivered");
+  } catch (err) {
+    delivery.lastError = err.message;
+    delivery.lastAttemptAt = new Date().toISOString();
+
+    if (delivery.attempts >= MAX_ATTEMPTS) {
+      logger.warn({ sessionId, webhookId: webhook.id, deliveryId: delivery.id, error: err.message }, "Webhook delivery failed, moving to dead-letter list");
+      await redisClient.multi()
+        .hDel(pendingKey(sessionId), delivery.id)
+        .lPush(deadLettersKey(sessionId), JSON.stringify(delivery))
+        .lTrim(deadLettersKey(sessionId), 0, DEAD_LETTER_LIMIT - 1)
+        .exec();
+      return;
+    }
+
+    const delay = retryDelay(delivery.attempts);
+    delivery.nextAttemptAt = Date.now() + delay;
+    logger.info({ sessionId, webhookId: webhook.id, deliveryId: delivery.id, attempts: delivery.attempts, delay, error: err.message }, "Webhook delivery failed, scheduling retry");
+    await redisClient.hSet(pendingKey(sessionId), delivery.id, JSON.stringify(delivery));
+    scheduleDelivery(sessionId, delivery, delay);
+  }
+}
+
+/**
+ * Schedules a delivery attempt
+ * @param {string} sessionId - Session identifier
+ * @param {object} delivery - Pending delivery
+ * @param {number} delay - Delay in milliseconds
+ */
+function scheduleDelivery(sessionId, delivery, delay) {
+  const timers = retryTimers.get(sessionId);
+  if (!timers || timers.has(delivery.id)) return;
+  const timer = setTimeout(() => {
+    attemptDelivery(sessionId, delivery).catch((err) => {
+      logger.error({ sessionId, deliveryId: delivery.id, error: err }, "Webhook delivery crashed");
+    });
+  }, delay);
+  timers.set(delivery.id, timer);
+}
+
+/**
+ * Forwards a socket event to every webhook of the session subscribed to it
+ * Deliveries are persisted before the first attempt, so they survive restarts.
+ * @param {string} sessionId - Session identifier
+ * @param {string} event - Event name
+ * @param {*} data - Event payload
+ * @param {string} [meId] - JID of the session user
+ */
+async function dispatchWebhookEvent(sessionId, event, data, meId) {
+  const webhooks = (await listWebhooks(sessionId))
+    .filter(({ events }) => (events.includes('*') && !OPT_IN_EVENTS.includes(event)) || events.includes(event));
+  if (!webhooks.length) return;
+
+  const timestamp = new Date().toISOString();
+  const bodies = {}; // format -> JSON body
+  const bodyFor = (format) => {
+    bodies[format] ??= JSON.stringify({
+      sessionId,
+      event,
+      timestamp,
+      data: serializeEventData(event, data, format, meId)
+    });
+    return bodies[format];
+  };
+
+  for (const webhook of webhooks) {
+    const delivery = {
+      id: crypto.randomUUID(),
+      webhookId: webhook.id,
+      event,
+      body: bodyFor(webhook.format || 'raw'),
+      attempts: 0,
+      createdAt: new Date().toISOString()
+    };
+    await redisClient.hSet(pendingKey(sessionId), delivery.id, JSON.stringify(delivery));
+    scheduleDelivery(sessionId, delivery, 0);
+  }
+}
+
+/**
+ * Binds webhooks to the events of a socket
+ * @param {string} sessionId - Session identifier
+ * @param {object} sock - Baileys socket
+ */
+function bindWebhooks(sessionId, sock) {
+  for (const event of WEBHOOK_EVENTS) {
+    sock.ev.on(event, (data) => {
+      dispatchWebhookEvent(sessionId, event, data, sock.user?.id).catch((err) => {
+        logger.error({ sessionId, event, error: err }, "Failed to dispatch webhook event");
+      });
+    });
+  }
+}
+
+/**
+ * Reschedules the pending deliveries of a session, e.g. the ones left when the process stopped,
+ * and schedules its new ones from now on
+ * @param {string} sessionId - Session identifier
+ */
+async function resumeWebhookDeliveries(sessionId) {
+  if (!retryTimers.has(sessionId)) retryTimers.set(sessionId, new Map());
+  const pending = await redisClient.hGetAll(pendingKey(sessionId));
+  const deliveries = Object.values(pending).map((value) => JSON.parse(value));
+  if (deliveries.length) {
+    logger.info({ sessionId, count: deliveries.length }, "Resuming pending webhook deliveries");
+  }
+  for (const delivery of deliveries) {
+    scheduleDelivery(sessionId, delivery, Math.max(0, (delivery.nextAttemptAt || 0) - Date.now()));
+  }
+}
+
+/**
+ * Cancels the scheduled deliveries of a session, e.g. when it is handed over to another instance.
+ * They stay pending in Redis for the next resumeWebhookDeliveries.
+ * @param {string} sessionId - Session identifier
+ */
+function stopWebhookDeliveries(sessionId) {
+  for (const timer of retryTimers.get(sessionId)?.values() || []) clearTimeout(timer);
+  retryTimers.delete(sessionId);
+}
+
+/**
+ * Removes the webhooks of a deleted session, with their pending deliveries and dead letters,
+ * so a new session with the same id does not inherit them
+ * @param {string} sessionId - Session identifier
+ */
+async function clearWebhooks(sessionId) {
+  stopWebhookDeliveries(sessionId);
+  await redisClient.del([webhooksKey(sessionId), pendingKey(sessionId), deadLettersKey(sessionId)]);
+}
+
+/**
+ * Lists failed deliveries, newest first
+ * @param {string} sessionId - Session identifier
+ * @param {number} limit - Max number of deliveries to return
+ * @returns {Promise<Array>}
+ */
+async function listDeadLetters(sessionId, limit) {
+  const items = await redisClient.lRange(deadLettersKey(sessionId), 0, limit - 1);
+  return items.map((item) => {
+    const { body, ...delivery } = JSON.parse(item);
+    return { ...delivery, payload: JSON.parse(body) };
+  });
+}
+
+/**
+ * Moves every dead-letter delivery back to the pending list and retries it
+ * @param {string} sessionId - Session identifier
+ * @returns {Promise<number>} Number of deliveries requeued
+ */
+async function redeliverDeadLetters(sessionId) {
+  let count = 0;
+  let item;
+  while ((item = await redisClient.rPop(deadLettersKey(sessionId)))) {
+    const delivery = { ...JSON.parse(item), attempts: 0, nextAttemptAt: undefined };
+    await redisClient.hSet(pendingKey(sessionId), delivery.id, JSON.stringify(delivery));
+    scheduleDelivery(sessionId, delivery, 0);
+    count++;
+  }
+  return count;
+}
+
+export {
+  WEBHOOK_EVENTS,
+  bindWebhooks,
+  resumeWebhookDeliveries,
+  stopWebhookDeliveries,
+  clearWebhooks,
+  listWebhooks,
+  registerWebhook,
+  removeWebhook,
+  validateWebhook,
+  publicWebhook,
+  listDeadLetters,
+  redeliverDeadLetters
+};